@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+
+// Windows share the queue file, so each writes through a temp file of its own
+let tempFileCount = 0;
+
+class ActivityQueue {
+    constructor(storagePath, options = {}) {
+        this.filePath = storagePath ? path.join(storagePath, 'activity-queue.json') : null;
+        this.baseRetryDelay = options.baseRetryDelay || 5000;
+        this.maxRetryDelay = options.maxRetryDelay || 30 * 60 * 1000;
+        this.projects = new Map();
+        // Ids this window uploaded, so they are not picked up again from another window's save
+        this.removedIds = new Set();
+        this.failedAttempts = 0;
+        this.nextAttemptAt = 0;
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const [project, entries] of Object.entries(state.projects || {})) {
+                if (Array.isArray(entries) && entries.length > 0) {
+                    this.projects.set(project, entries);
+                }
+            }
+            this.failedAttempts = state.failedAttempts || 0;
+            this.nextAttemptAt = state.nextAttemptAt || 0;
+            console.log(`Restored ${this.pendingCount} pending activity entries from disk`);
+        } catch (error) {
+            // Keep the unreadable file around so the entries can be recovered by hand
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            console.error(`Failed to read activity queue, moving it to ${backupPath}:`, error);
+            fs.renameSync(this.filePath, backupPath);
+        }
+    }
+
+    // Every window of VS Code shares this file, so merge in what the others queued instead of
+    // overwriting it. Entries both windows hold are uploaded twice at worst, and deduplicated by id
+    adoptEntriesFromDisk() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        let state;
+        try {
+            state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            console.error('Failed to read activity queue from disk, overwriting it:', error);
+            return;
+        }
+
+        const knownIds = new Set();
+        for (const entries of this.projects.values()) {
+            entries.forEach(entry => entry.id && knownIds.add(entry.id));
+        }
+
+        const idsOnDisk = new Set();
+        for (const [project, entries] of Object.entries(state.projects || {})) {
+            for (const entry of Array.isArray(entries) ? entries : []) {
+                if (!entry.id) continue;
+                idsOnDisk.add(entry.id);
+                if (knownIds.has(entry.id) || this.removedIds.has(entry.id)) continue;
+
+                if (!this.projects.has(project)) {
+                    this.projects.set(project, []);
+                }
+                this.projects.get(project).push(entry);
+                knownIds.add(entry.id);
+            }
+        }
+
+        // Once no other window holds an uploaded entry, there is nothing left to ignore
+        for (const id of this.removedIds) {
+            if (!idsOnDisk.has(id)) this.removedIds.delete(id);
+        }
+    }
+
+    save() {
+        if (!this.filePath) return;
+
+        this.adoptEntriesFromDisk();
+        const state = {
+            projects: Object.fromEntries(this.projects),
+            failedAttempts: this.failedAttempts,
+            nextAttemptAt: this.nextAttemptAt
+        };
+
+        // Write to a temp file first so a crash mid-write never truncates the queue
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}-${++tempFileCount}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // The entry is only queued once it is on disk; if saving fails it is left out so the caller can retry
+    push(project, entry) {
+        if (!this.projects.has(project)) {
+            this.projects.set(project, []);
+        }
+        const entries = this.projects.get(project);
+        entries.push(entry);
+        try {
+            this.save();
+        } catch (error) {
+            entries.splice(entries.indexOf(entry), 1);
+            if (entries.length === 0) {
+                this.projects.delete(project);
+            }
+            throw error;
+        }
+    }
+
+    // Returns copies so entries queued during an upload are not sent twice
+    entries() {
+        return Array.from(this.projects.entries())
+            .filter(([, entries]) => entries.length > 0)
+            .map(([project, entries]) => [project, entries.slice()]);
+    }
+
+    // Removes entries returned by entries() once they are stored; ones queued since stay
+    remove(project, uploaded) {
+        const entries = this.projects.get(project);
+        if (!entries) return;
+
+        const uploadedEntries = new Set(uploaded);
+        uploaded.forEach(entry => entry.id && this.removedIds.add(entry.id));
+        this.projects.set(project, entries.filter(entry => !uploadedEntries.has(entry)));
+        if (this.projects.get(project).length === 0) {
+            this.projects.delete(project);
+        }
+        this.save();
+    }
+
+    get pendingCount() {
+        let count = 0;
+        for (const entries of this.projects.values()) {
+            count += entries.length;
+        }
+        return count;
+    }
+
+    isReadyForRetry() {
+        return Date.now() >= this.nextAttemptAt;
+    }
+
+    recordSuccess() {
+        if (this.failedAttempts === 0 && this.nextAttemptAt === 0) return;
+
+        this.failedAttempts = 0;
+        this.nextAttemptAt = 0;
+        this.save();
+    }
+
+    recordFailure() {
+        this.failedAttempts++;
+        const delay = Math.min(
+            this.baseRetryDelay * Math.pow(2, this.failedAttempts - 1),
+            this.maxRetryDelay
+        );
+        this.nextAttemptAt = Date.now() + delay;
+        this.save();
+        return delay;
+    }
+
+    resetBackoff() {
+        this.nextAttemptAt = 0;
+    }
+}
+
+module.exports = ActivityQueue;
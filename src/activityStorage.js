@@ -0,0 +1,90 @@
+const { mergeShardLines } = require('./visualization');
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Another window or machine wrote the same files between our read and our commit
+function isWriteConflict(error) {
+    return error.status === 409 || error.status === 422;
+}
+
+// Where activity logs and charts are written. Backends implement readFile and commitFiles;
+// files passed to commitFiles are { path, content } with `content: null` deleting the file and
+// `createOnly` files never overwriting an existing one. A file with `baseContent` was derived
+// from that content (null: the file did not exist), and the commit fails with status 409 if
+// the stored file no longer matches it
+class ActivityStorage {
+    // Shown in logs and messages, e.g. "octocat/activity-tracker on GitHub"
+    get description() {
+        return 'activity storage';
+    }
+
+    // Folder name for this backend's files in a dry run's staging area
+    get stagingName() {
+        return 'storage';
+    }
+
+    // Whether GitHub sign-in is needed before reading or writing
+    get requiresGithub() {
+        return false;
+    }
+
+    // Whether a GitHub Actions workflow renders the charts; otherwise the extension renders them itself
+    get rendersVisualizations() {
+        return false;
+    }
+
+    // Creates whatever the backend needs (folder, repository, gist) before the first write
+    async setup() {}
+
+    async readFile() {
+        throw new Error(`${this.constructor.name} does not implement readFile`);
+    }
+
+    async commitFiles() {
+        throw new Error(`${this.constructor.name} does not implement commitFiles`);
+    }
+
+    // Appends lines to several files as one commit; `appends` maps each path to its new lines.
+    // Entries a file already holds are skipped, and if another writer got in first the files are
+    // read again and the lines merged into the new content
+    async append(appends, message) {
+        for (let attempt = 1; ; attempt++) {
+            const files = [];
+            for (const [filePath, lines] of appends) {
+                const baseContent = await this.readFile(filePath);
+                const content = mergeShardLines(baseContent, lines);
+                if (content !== baseContent) {
+                    files.push({ path: filePath, content, baseContent });
+                }
+            }
+            if (files.length === 0) {
+                console.log(`All entries are already stored in ${this.description}`);
+                return null;
+            }
+
+            try {
+                return await this.commitFiles(files, message);
+            } catch (error) {
+                if (!isWriteConflict(error) || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+
+                // Random spacing keeps two writers from colliding again on the retry
+                const delay = Math.round((0.5 + Math.random()) * 500 * attempt);
+                console.log(`Activity logs in ${this.description} changed during the write, merging again in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+}
+
+// Thrown by backends when a file's `baseContent` is stale
+function createConflictError(filePath) {
+    const error = new Error(`${filePath} was changed by another writer`);
+    error.status = 409;
+    return error;
+}
+
+module.exports = ActivityStorage;
+module.exports.isWriteConflict = isWriteConflict;
+module.exports.createConflictError = createConflictError;
@@ -1,4 +1,17 @@
 const vscode = require('vscode');
+const { diffLines } = require('./lineDiff');
+const { isParseableLanguage, detectSymbolChanges } = require('./symbolDetector');
+const { getDocumentSymbols, flattenSymbols, diffSymbolTrees } = require('./documentSymbols');
+const SessionTracker = require('./sessionTracker');
+const CommitTracker = require('./commitTracker');
+const PrivacyFilter = require('./privacyFilter');
+const { getEntryMetadata } = require('./entryMetadata');
+const { getConfiguration, onDidChangeConfiguration } = require('./config');
+
+const NO_CHANGES = Object.freeze({ added: [], modified: [], removed: [] });
+
+// Documents that can be saved to disk; others (git, output, settings editors) are never diffed
+const BASELINE_SCHEMES = new Set(['file', 'vscode-remote', 'vscode-vfs']);
 
 class ActivityTracker {
     constructor(gitManager, options = {}) {
@@ -6,21 +19,76 @@ class ActivityTracker {
         this.isTracking = false;
         this.currentActivity = {};
         this.previousContent = new Map();
-        this.maxCachedFiles = options.maxCachedFiles || 100;
-        this.retryAttempts = options.retryAttempts || 3;
-        this.retryDelay = options.retryDelay || 1000;
+        this.previousSymbols = new Map();
+        this.maxDiffEditDistance = options.maxDiffEditDistance || 2000;
+        this.stateEmitter = new vscode.EventEmitter();
+        this.onDidChangeState = this.stateEmitter.event;
+        this.sessionTracker = new SessionTracker(session => this.logSession(session));
+        this.commitTracker = new CommitTracker(commit => this.logCommit(commit), options.globalState);
+        this.applyConfiguration(getConfiguration());
+        this.configurationListener = onDidChangeConfiguration(config => this.applyConfiguration(config));
+        this.openListener = vscode.workspace.onDidOpenTextDocument(document => this.seedPreviousContent(document));
+    }
+
+    applyConfiguration(config) {
+        this.maxCachedFiles = config.maxCachedFiles;
+        this.retryAttempts = config.retry.attempts;
+        this.retryDelay = config.retry.delayMs;
+        this.privacyFilter = new PrivacyFilter(config.privacy);
+        this.sessionTracker.idleTimeout = config.idleTimeoutMinutes * 60 * 1000;
+
+        // Shrink the content cache right away if the limit was lowered
+        while (this.previousContent.size > this.maxCachedFiles) {
+            const oldestKey = this.previousContent.keys().next().value;
+            this.previousContent.delete(oldestKey);
+            this.previousSymbols.delete(oldestKey);
+        }
+    }
+
+    // Remembers a document's saved content when it is opened, so its first save has something to diff against
+    async seedPreviousContent(document) {
+        if (!this.isTracking || !BASELINE_SCHEMES.has(document.uri.scheme) || this.previousContent.has(document.fileName)) {
+            return;
+        }
+        if (!this.privacyFilter.shouldTrack(document.uri, this.getProjectName(document.uri))) return;
+
+        try {
+            // Unsaved edits belong to the next save, so a dirty document starts from what is on disk
+            const content = document.isDirty
+                ? Buffer.from(await vscode.workspace.fs.readFile(document.uri)).toString()
+                : document.getText();
+            if (this.isTracking && !this.previousContent.has(document.fileName)) {
+                this.managePreviousContent(document.fileName, content);
+            }
+            // The symbol tree of a clean document matches the saved content too
+            if (!document.isDirty && !isParseableLanguage(document.languageId)) {
+                await this.detectProviderSymbolChanges(document);
+            }
+        } catch (error) {
+            console.log(`Could not read the saved content of ${document.fileName}:`, error.message);
+        }
     }
 
     async trackCodeChanges(document) {
         try {
             const currentContent = document.getText();
-            const previousContent = this.previousContent.get(document.fileName) || '';
-            
+            // Without the content from before this save (opened before tracking started, or evicted
+            // from the cache) any diff would count the whole file as new, so report no changes instead
+            const previousContent = this.previousContent.get(document.fileName);
+            const hasBaseline = previousContent !== undefined;
+
+            const symbolChanges = hasBaseline
+                ? this.detectSymbolChanges(previousContent, currentContent, document.languageId)
+                : { functions: NO_CHANGES, classes: NO_CHANGES, imports: NO_CHANGES };
+            // The parser is more precise than a language server for the languages it handles
+            const providerChanges = isParseableLanguage(document.languageId)
+                ? null
+                : await this.detectProviderSymbolChanges(document);
             const changes = {
-                functions: this.detectFunctionChanges(previousContent, currentContent),
-                classes: { added: [], modified: [], removed: [] },  // Initialize with empty arrays
-                imports: { added: [], modified: [], removed: [] },  // Initialize with empty arrays
-                lineChanges: this.getLineChanges(previousContent, currentContent)
+                functions: providerChanges ? providerChanges.functions : symbolChanges.functions,
+                classes: providerChanges ? providerChanges.classes : symbolChanges.classes,
+                imports: symbolChanges.imports,
+                lineChanges: hasBaseline ? this.getLineChanges(previousContent, currentContent) : null
             };
 
             this.managePreviousContent(document.fileName, currentContent);
@@ -36,31 +104,66 @@ class ActivityTracker {
         if (this.previousContent.size >= this.maxCachedFiles) {
             const oldestKey = this.previousContent.keys().next().value;
             this.previousContent.delete(oldestKey);
+            this.previousSymbols.delete(oldestKey);
         }
         this.previousContent.set(fileName, content);
     }
 
+    // Diffs the language server's symbol tree against the one seen on the previous save (or when
+    // the document was opened). The first tree seen for a file is only remembered, not reported
+    async detectProviderSymbolChanges(document) {
+        const symbols = await getDocumentSymbols(document);
+        const previous = this.previousSymbols.get(document.fileName);
+
+        // No provider for this language, or it has nothing to report yet
+        if (!Array.isArray(symbols) || (symbols.length === 0 && !previous)) {
+            return null;
+        }
+
+        const current = flattenSymbols(symbols, document);
+        this.previousSymbols.set(document.fileName, current);
+        if (!previous) {
+            return { functions: NO_CHANGES, classes: NO_CHANGES };
+        }
+        return diffSymbolTrees(previous, current);
+    }
+
     async logFileActivity(document) {
         if (!this.isTracking) return;
 
+        // Excluded files are never diffed or cached, let alone uploaded
+        const project = this.getProjectName(document.uri);
+        if (!this.privacyFilter.shouldTrack(document.uri, project)) return;
+
+        // Diffing moves the cached content on to this save, so it happens once; only queueing is retried
+        let activityLog;
+        try {
+            const changes = await this.trackCodeChanges(document);
+            activityLog = {
+                file: this.privacyFilter.redactPath(document.uri),
+                project,
+                timestamp: new Date().toISOString(),
+                ...getEntryMetadata(document.uri, document.languageId, this.privacyFilter),
+                changes: {
+                    functions: changes.functions,
+                    classes: changes.classes,
+                    imports: changes.imports,
+                    lineStats: changes.lineChanges,
+                    type: this.determineChangeType(changes)
+                }
+            };
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to log activity: ${error.message}`);
+            console.error('Failed to log activity:', error);
+            return;
+        }
+
         let attempt = 0;
         while (attempt < this.retryAttempts) {
             try {
-                const changes = await this.trackCodeChanges(document);
-                const activityLog = {
-                    file: document.fileName,
-                    project: this.getProjectName(document.uri),
-                    timestamp: new Date().toISOString(),
-                    changes: {
-                        functions: changes.functions,
-                        classes: changes.classes,
-                        imports: changes.imports,
-                        lineStats: changes.lineChanges,
-                        type: this.determineChangeType(changes)
-                    }
-                };
-
-                await this.gitManager.logActivity(activityLog);
+                const entry = await this.gitManager.logActivity(activityLog);
+                this.commitTracker.recordSave(document.uri, entry.id);
+                this.stateEmitter.fire();
                 return;
             } catch (error) {
                 attempt++;
@@ -74,6 +177,49 @@ class ActivityTracker {
         }
     }
 
+    async logSession(session) {
+        if (!this.isTracking) return;
+
+        const project = this.getProjectName(session.uri);
+        if (!this.privacyFilter.shouldTrack(session.uri, project)) return;
+
+        await this.gitManager.logActivity({
+            type: 'session',
+            file: this.privacyFilter.redactPath(session.uri),
+            project,
+            timestamp: session.start,
+            ...getEntryMetadata(session.uri, session.language, this.privacyFilter),
+            start: session.start,
+            end: session.end,
+            durationMs: session.durationMs
+        });
+        this.stateEmitter.fire();
+    }
+
+    async logCommit(commit) {
+        if (!this.isTracking) return;
+
+        const project = this.getProjectName(commit.uri);
+        if (!this.privacyFilter.shouldTrack(commit.uri, project)) return;
+
+        await this.gitManager.logActivity({
+            type: 'commit',
+            project,
+            timestamp: commit.timestamp,
+            ...getEntryMetadata(commit.uri, null, this.privacyFilter),
+            fileExtension: null,
+            branch: this.privacyFilter.redactBranch(commit.branch),
+            sha: commit.sha,
+            filesChanged: commit.filesChanged,
+            insertions: commit.insertions,
+            deletions: commit.deletions,
+            attributedSaves: commit.saveIds.length,
+            // Ids of the save entries this commit wraps up, to trace them back from the commit
+            saveIds: commit.saveIds
+        });
+        this.stateEmitter.fire();
+    }
+
     determineChangeType(changes) {
         const types = new Set();
         if (changes.functions.added.length > 0) types.add('FUNCTION_ADDED');
@@ -81,8 +227,12 @@ class ActivityTracker {
         if (changes.functions.removed.length > 0) types.add('FUNCTION_REMOVED');
         if (changes.classes.added.length > 0) types.add('CLASS_ADDED');
         if (changes.classes.modified.length > 0) types.add('CLASS_MODIFIED');
+        if (changes.classes.removed.length > 0) types.add('CLASS_REMOVED');
         if (changes.imports.added.length > 0) types.add('IMPORT_ADDED');
-        if (changes.lineChanges.modifiedLines > 0) types.add('CODE_MODIFIED');
+        if (changes.imports.removed.length > 0) types.add('IMPORT_REMOVED');
+        if (changes.lineChanges?.addedLines > 0) types.add('CODE_ADDED');
+        if (changes.lineChanges?.removedLines > 0) types.add('CODE_REMOVED');
+        if (changes.lineChanges?.modifiedLines > 0) types.add('CODE_MODIFIED');
         return Array.from(types);
     }
 
@@ -93,21 +243,53 @@ class ActivityTracker {
 
     start() {
         this.isTracking = true;
+        this.sessionTracker.start();
+        this.commitTracker.start().catch(error => console.error('Failed to start commit tracking:', error));
+        vscode.workspace.textDocuments.forEach(document => this.seedPreviousContent(document));
+        this.stateEmitter.fire();
         vscode.window.showInformationMessage('Activity tracking started');
     }
 
     stop() {
+        // Close the open session while tracking is still on so it gets logged
+        this.sessionTracker.stop();
+        this.commitTracker.stop();
         this.isTracking = false;
         this.previousContent.clear();
+        this.previousSymbols.clear();
+        this.stateEmitter.fire();
         vscode.window.showInformationMessage('Activity tracking stopped');
     }
 
     dispose() {
         this.stop();
+        this.sessionTracker.dispose();
+        this.commitTracker.dispose();
+        this.configurationListener.dispose();
+        this.openListener.dispose();
+        this.stateEmitter.dispose();
         this.previousContent = null;
+        this.previousSymbols = null;
         this.gitManager = null;
     }
 
+    detectSymbolChanges(oldContent, newContent, languageId) {
+        if (isParseableLanguage(languageId)) {
+            try {
+                return detectSymbolChanges(oldContent, newContent, languageId);
+            } catch (error) {
+                // Unrecoverable syntax errors mid-edit; fall back to the regex detector
+                console.log(`Could not parse ${languageId} source, using regex detection:`, error.message);
+            }
+        }
+
+        return {
+            functions: this.detectFunctionChanges(oldContent, newContent),
+            classes: { added: [], modified: [], removed: [] },
+            imports: { added: [], modified: [], removed: [] }
+        };
+    }
+
     detectFunctionChanges(oldContent, newContent) {
         // Simple regex-based function detection
         const functionRegex = /function\s+(\w+)\s*\(/g;
@@ -122,13 +304,7 @@ class ActivityTracker {
     }
 
     getLineChanges(oldContent, newContent) {
-        const oldLines = oldContent.split('\n');
-        const newLines = newContent.split('\n');
-        return {
-            addedLines: newLines.length - oldLines.length,
-            modifiedLines: Math.abs(newLines.length - oldLines.length),
-            totalLines: newLines.length
-        };
+        return diffLines(oldContent, newContent, { maxEditDistance: this.maxDiffEditDistance });
     }
 }
 
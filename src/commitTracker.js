@@ -0,0 +1,194 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { activateGitApi } = require('./gitExtension');
+
+const execFileAsync = promisify(execFile);
+
+const PENDING_SAVES_STATE_KEY = 'activityTracker.pendingCommitSaves';
+// A file saved this often without being committed keeps only its latest saves
+const MAX_PENDING_SAVES_PER_FILE = 1000;
+
+class CommitTracker {
+    constructor(onCommit, globalState) {
+        this.onCommit = onCommit;
+        this.globalState = globalState;
+        this.repositories = new Map();
+        // Ids of the save entries per file since that file was last committed, keyed by repository
+        // root, kept in globalState so saves made before a reload still go to the next commit
+        this.pendingSaves = new Map();
+        const stored = globalState?.get(PENDING_SAVES_STATE_KEY, {}) || {};
+        Object.entries(stored).forEach(([root, files]) => {
+            this.pendingSaves.set(root, new Map(Object.entries(files)));
+        });
+        this.disposables = [];
+        this.isStarted = false;
+    }
+
+    async start() {
+        if (this.isStarted) return;
+        this.isStarted = true;
+
+        const api = await activateGitApi();
+        if (!api || !this.isStarted) {
+            if (!api) console.log('Git extension unavailable, commits will not be tracked');
+            return;
+        }
+
+        this.gitPath = api.git.path;
+        api.repositories.forEach(repository => this.watchRepository(repository));
+        this.disposables.push(
+            api.onDidOpenRepository(repository => this.watchRepository(repository)),
+            api.onDidCloseRepository(repository => this.unwatchRepository(repository))
+        );
+    }
+
+    stop() {
+        this.isStarted = false;
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+        this.repositories.forEach(watched => watched.listener.dispose());
+        this.repositories.clear();
+    }
+
+    watchRepository(repository) {
+        const root = repository.rootUri.fsPath;
+        if (this.repositories.has(root)) return;
+
+        const watched = {
+            sha: repository.state.HEAD?.commit || null,
+            branch: repository.state.HEAD?.name || null,
+            listener: repository.state.onDidChange(() => {
+                this.handleStateChange(repository, watched).catch(error => {
+                    console.error(`Failed to inspect commit in ${root}:`, error);
+                });
+            })
+        };
+        this.repositories.set(root, watched);
+    }
+
+    unwatchRepository(repository) {
+        const root = repository.rootUri.fsPath;
+        const watched = this.repositories.get(root);
+        if (watched) {
+            watched.listener.dispose();
+            this.repositories.delete(root);
+        }
+    }
+
+    recordSave(uri, entryId) {
+        const root = this.findRepositoryRoot(uri.fsPath);
+        if (!root) return;
+
+        if (!this.pendingSaves.has(root)) this.pendingSaves.set(root, new Map());
+        const saves = this.pendingSaves.get(root);
+        const ids = (saves.get(uri.fsPath) || []).concat(entryId).slice(-MAX_PENDING_SAVES_PER_FILE);
+        saves.set(uri.fsPath, ids);
+        this.persistPendingSaves(root);
+    }
+
+    // Other windows share globalState, so only this repository's part of it is replaced
+    persistPendingSaves(root) {
+        if (!this.globalState) return;
+
+        const stored = { ...this.globalState.get(PENDING_SAVES_STATE_KEY, {}) };
+        const saves = this.pendingSaves.get(root);
+        if (saves && saves.size > 0) {
+            stored[root] = Object.fromEntries(saves);
+        } else {
+            delete stored[root];
+        }
+        this.globalState.update(PENDING_SAVES_STATE_KEY, stored).then(undefined, error => {
+            console.error('Failed to store pending commit saves:', error);
+        });
+    }
+
+    // Nested repositories (submodules) win over the repository that contains them
+    findRepositoryRoot(fsPath) {
+        let match = null;
+        for (const root of this.repositories.keys()) {
+            const relative = path.relative(root, fsPath);
+            if (!relative.startsWith('..') && !path.isAbsolute(relative) && (!match || root.length > match.length)) {
+                match = root;
+            }
+        }
+        return match;
+    }
+
+    async handleStateChange(repository, watched) {
+        const head = repository.state.HEAD;
+        const sha = head?.commit || null;
+        const branch = head?.name || null;
+        const previousSha = watched.sha;
+        const previousBranch = watched.branch;
+        watched.sha = sha;
+        watched.branch = branch;
+
+        if (!sha || !previousSha || sha === previousSha || branch !== previousBranch) return;
+
+        // Only a single new commit on top of the old HEAD counts; checkouts, rebases,
+        // amends and multi-commit pulls all move HEAD some other way
+        const commit = await repository.getCommit(sha);
+        if (!commit.parents.includes(previousSha)) return;
+
+        // A fast-forward pull of one commit looks the same, so also require the local author
+        const email = await repository.getConfig('user.email').catch(() => null);
+        if (email && commit.authorEmail && email.trim().toLowerCase() !== commit.authorEmail.toLowerCase()) return;
+
+        const root = repository.rootUri.fsPath;
+        const stats = await this.getCommitStats(root, sha);
+        const saveIds = this.takePendingSaves(root, stats.files);
+
+        await this.onCommit({
+            uri: repository.rootUri,
+            sha,
+            branch,
+            timestamp: (commit.commitDate || new Date()).toISOString(),
+            filesChanged: stats.files.length,
+            insertions: stats.insertions,
+            deletions: stats.deletions,
+            saveIds
+        });
+    }
+
+    async getCommitStats(root, sha) {
+        const { stdout } = await execFileAsync(
+            this.gitPath,
+            ['show', '--numstat', '--format=', '--no-renames', sha],
+            { cwd: root, maxBuffer: 10 * 1024 * 1024 }
+        );
+
+        const stats = { files: [], insertions: 0, deletions: 0 };
+        stdout.split('\n').filter(line => line.trim()).forEach(line => {
+            const [added, deleted, ...file] = line.split('\t');
+            stats.files.push(file.join('\t'));
+            // Binary files report "-" for both counts
+            stats.insertions += parseInt(added, 10) || 0;
+            stats.deletions += parseInt(deleted, 10) || 0;
+        });
+        return stats;
+    }
+
+    // Saves of the committed files now belong to this commit; returns their entry ids
+    takePendingSaves(root, files) {
+        const saves = this.pendingSaves.get(root);
+        if (!saves) return [];
+
+        const ids = [];
+        files.forEach(file => {
+            const fsPath = path.join(root, file);
+            ids.push(...(saves.get(fsPath) || []));
+            saves.delete(fsPath);
+        });
+        if (saves.size === 0) this.pendingSaves.delete(root);
+        this.persistPendingSaves(root);
+        return ids;
+    }
+
+    dispose() {
+        this.stop();
+        this.onCommit = null;
+    }
+}
+
+module.exports = CommitTracker;
@@ -0,0 +1,64 @@
+const vscode = require('vscode');
+
+const SECTION = 'activityTracker';
+
+// Reads every activityTracker.* setting into one plain object; defaults live in package.json
+function getConfiguration() {
+    const config = vscode.workspace.getConfiguration(SECTION);
+    return {
+        repository: {
+            name: config.get('repository.name', 'activity-tracker'),
+            owner: config.get('repository.owner', ''),
+            visibility: config.get('repository.visibility', 'public'),
+            publishRepository: config.get('repository.publishRepository', '')
+        },
+        visualization: {
+            palette: config.get('visualization.palette', 'github'),
+            readmeCharts: config.get('visualization.readmeCharts', ['heatmap', 'activity-chart']),
+            readmePosition: config.get('visualization.readmePosition', 'bottom')
+        },
+        github: {
+            enterpriseUrl: config.get('github.enterpriseUrl', '')
+        },
+        storage: {
+            backend: config.get('storage.backend', 'github'),
+            localPath: config.get('storage.localPath', ''),
+            gistId: config.get('storage.gistId', ''),
+            giteaUrl: config.get('storage.giteaUrl', ''),
+            giteaRepository: config.get('storage.giteaRepository', '')
+        },
+        dryRun: config.get('dryRun', false),
+        autoStart: config.get('autoStart', true),
+        flushIntervalSeconds: config.get('flushIntervalSeconds', 5),
+        schedulerIntervalMinutes: config.get('schedulerIntervalMinutes', 30),
+        maxCachedFiles: config.get('maxCachedFiles', 100),
+        idleTimeoutMinutes: config.get('idleTimeoutMinutes', 5),
+        goals: {
+            daily: config.get('goals.dailyTarget', 0),
+            weekly: config.get('goals.weeklyTarget', 0),
+            unit: config.get('goals.unit', 'minutes'),
+            reminderHour: config.get('goals.reminderHour', 20)
+        },
+        retry: {
+            attempts: config.get('retry.attempts', 3),
+            delayMs: config.get('retry.delayMs', 1000),
+            maxBackoffMinutes: config.get('retry.maxBackoffMinutes', 30)
+        },
+        privacy: {
+            excludeGlobs: config.get('privacy.excludeGlobs'),
+            projectAllowlist: config.get('privacy.projectAllowlist'),
+            projectDenylist: config.get('privacy.projectDenylist'),
+            pathRedaction: config.get('privacy.pathRedaction')
+        }
+    };
+}
+
+function onDidChangeConfiguration(listener) {
+    return vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration(SECTION)) {
+            listener(getConfiguration(), event);
+        }
+    });
+}
+
+module.exports = { SECTION, getConfiguration, onDidChangeConfiguration };
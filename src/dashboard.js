@@ -0,0 +1,223 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const { renderCharts, getChartFileName, CHARTS, CHART_TITLES } = require('./visualization');
+const { getConfiguration } = require('./config');
+
+const RECENT_ENTRY_COUNT = 25;
+
+class Dashboard {
+    constructor(gitManager) {
+        this.gitManager = gitManager;
+        this.panel = null;
+        this.filters = {};
+        // Swap chart variants when the user switches between light and dark themes
+        this.themeListener = vscode.window.onDidChangeActiveColorTheme(() => this.refresh());
+    }
+
+    refresh() {
+        this.render(this.filters).catch(error => {
+            console.error('Failed to render dashboard:', error);
+            vscode.window.showErrorMessage(`Failed to render dashboard: ${error.message}`);
+        });
+    }
+
+    getThemeMode() {
+        const kind = vscode.window.activeColorTheme.kind;
+        return kind === vscode.ColorThemeKind.Dark || kind === vscode.ColorThemeKind.HighContrast ? 'dark' : 'light';
+    }
+
+    show() {
+        if (this.panel) {
+            this.panel.reveal();
+            return;
+        }
+
+        this.panel = vscode.window.createWebviewPanel(
+            'activityTrackerDashboard',
+            'Activity Dashboard',
+            vscode.ViewColumn.One,
+            { enableScripts: true, retainContextWhenHidden: true }
+        );
+        this.panel.onDidDispose(() => {
+            this.panel = null;
+        });
+        this.panel.webview.onDidReceiveMessage(message => {
+            if (message.type === 'filter') {
+                this.filters = message.filters;
+                this.refresh();
+            }
+        });
+
+        const activity = this.gitManager.loadLocalActivity();
+        const projects = Array.from(new Set(activity.map(entry => entry.project))).sort();
+        this.panel.webview.html = this.getHtml(this.panel.webview, projects);
+    }
+
+    filterActivity(activity, filters = {}) {
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+        return activity.filter(entry => {
+            const timestamp = new Date(entry.timestamp);
+            if (from && timestamp < from) return false;
+            if (to && timestamp > to) return false;
+            if (filters.project && entry.project !== filters.project) return false;
+            return true;
+        });
+    }
+
+    async render(filters) {
+        if (!this.panel) return;
+
+        const activity = this.filterActivity(this.gitManager.loadLocalActivity(), filters);
+        const config = getConfiguration();
+        const rendered = await renderCharts(activity, {
+            palette: config.visualization.palette,
+            goals: config.goals,
+            timezoneOffset: new Date().getTimezoneOffset()
+        });
+        const mode = this.getThemeMode();
+        const charts = CHARTS.map(chart => ({
+            title: CHART_TITLES[chart],
+            svg: rendered[getChartFileName(chart, mode)]
+        }));
+
+        const recent = activity
+            .slice()
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, RECENT_ENTRY_COUNT)
+            .map(entry => ({
+                timestamp: entry.timestamp,
+                project: entry.project,
+                file: entry.file || '',
+                kind: this.describeEntry(entry)
+            }));
+
+        this.panel.webview.postMessage({
+            type: 'render',
+            charts,
+            recent,
+            total: activity.length
+        });
+    }
+
+    describeEntry(entry) {
+        if (entry.type === 'session') {
+            return `session ${Math.round(entry.durationMs / 60000)}m`;
+        }
+        if (entry.type === 'commit') {
+            return `commit ${entry.sha.slice(0, 7)} +${entry.insertions} -${entry.deletions} in ${entry.filesChanged} files`;
+        }
+        return (entry.changes?.type || []).join(', ') || 'save';
+    }
+
+    getHtml(webview, projects) {
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const projectOptions = projects
+            .map(project => `<option value="${escapeHtml(project)}">${escapeHtml(project)}</option>`)
+            .join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; img-src ${webview.cspSource} data:; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Activity Dashboard</title>
+    <style>
+        body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 20px 20px; }
+        .filters { display: flex; gap: 12px; align-items: end; margin: 16px 0; flex-wrap: wrap; }
+        .filters label { display: flex; flex-direction: column; gap: 4px; font-size: 12px; }
+        input, select { background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, transparent); padding: 4px; }
+        .chart { background: var(--vscode-editorWidget-background); border-radius: 6px; padding: 12px; margin: 12px 0; overflow-x: auto; }
+        .chart svg { max-width: 100%; height: auto; }
+        table { border-collapse: collapse; width: 100%; font-size: 12px; }
+        th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid var(--vscode-widget-border, rgba(128,128,128,0.3)); }
+        .muted { color: var(--vscode-descriptionForeground); }
+    </style>
+</head>
+<body>
+    <h1>Coding Activity</h1>
+    <div class="filters">
+        <label>From <input type="date" id="from"></label>
+        <label>To <input type="date" id="to"></label>
+        <label>Project <select id="project"><option value="">All projects</option>${projectOptions}</select></label>
+        <span class="muted" id="total"></span>
+    </div>
+    <div id="charts"></div>
+    <h2>Recent Activity</h2>
+    <table>
+        <thead><tr><th>Time</th><th>Project</th><th>File</th><th>Change</th></tr></thead>
+        <tbody id="recent"></tbody>
+    </table>
+    <script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();
+        const inputs = ['from', 'to', 'project'].map(id => document.getElementById(id));
+
+        function requestRender() {
+            const [from, to, project] = inputs.map(input => input.value);
+            vscode.postMessage({ type: 'filter', filters: { from, to, project } });
+        }
+
+        function cell(text) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            return td;
+        }
+
+        window.addEventListener('message', event => {
+            const message = event.data;
+            if (message.type !== 'render') return;
+
+            // Chart SVGs come from visualization.js, the same renderer as the published files
+            const charts = document.getElementById('charts');
+            charts.replaceChildren();
+            for (const chart of message.charts) {
+                const heading = document.createElement('h2');
+                heading.textContent = chart.title;
+                const container = document.createElement('div');
+                container.className = 'chart';
+                container.innerHTML = chart.svg;
+                charts.append(heading, container);
+            }
+            document.getElementById('total').textContent = message.total + ' entries';
+
+            const recent = document.getElementById('recent');
+            recent.replaceChildren();
+            for (const entry of message.recent) {
+                const row = document.createElement('tr');
+                row.append(
+                    cell(new Date(entry.timestamp).toLocaleString()),
+                    cell(entry.project),
+                    cell(entry.file),
+                    cell(entry.kind)
+                );
+                recent.append(row);
+            }
+        });
+
+        inputs.forEach(input => input.addEventListener('change', requestRender));
+        requestRender();
+    </script>
+</body>
+</html>`;
+    }
+
+    dispose() {
+        this.themeListener.dispose();
+        if (this.panel) {
+            this.panel.dispose();
+        }
+        this.gitManager = null;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = Dashboard;
@@ -0,0 +1,66 @@
+const vscode = require('vscode');
+const { diffSymbolMaps } = require('./symbolDetector');
+
+const FUNCTION_KINDS = new Set([
+    vscode.SymbolKind.Function,
+    vscode.SymbolKind.Method,
+    vscode.SymbolKind.Constructor
+]);
+
+const CLASS_KINDS = new Set([
+    vscode.SymbolKind.Class,
+    vscode.SymbolKind.Interface,
+    vscode.SymbolKind.Struct,
+    vscode.SymbolKind.Enum
+]);
+
+// Asks whichever language server is installed for the document's symbols; undefined when none answers
+async function getDocumentSymbols(document) {
+    try {
+        return await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri);
+    } catch (error) {
+        console.log(`Document symbol provider failed for ${document.fileName}:`, error.message);
+        return undefined;
+    }
+}
+
+// Flattens a DocumentSymbol tree (or SymbolInformation list) into maps of qualified name to source text
+function flattenSymbols(symbols, document) {
+    const flattened = {
+        functions: new Map(),
+        classes: new Map()
+    };
+
+    const add = (symbol, name, range) => {
+        const target = FUNCTION_KINDS.has(symbol.kind) ? flattened.functions
+            : CLASS_KINDS.has(symbol.kind) ? flattened.classes
+            : null;
+        if (target) {
+            target.set(name, document.getText(range));
+        }
+    };
+
+    const visit = (symbol, containerName) => {
+        if (symbol.location) {
+            // SymbolInformation has no children, only the container's name
+            add(symbol, symbol.containerName ? `${symbol.containerName}.${symbol.name}` : symbol.name, symbol.location.range);
+            return;
+        }
+
+        const name = containerName ? `${containerName}.${symbol.name}` : symbol.name;
+        add(symbol, name, symbol.range);
+        (symbol.children || []).forEach(child => visit(child, name));
+    };
+
+    symbols.forEach(symbol => visit(symbol, null));
+    return flattened;
+}
+
+function diffSymbolTrees(oldSymbols, newSymbols) {
+    return {
+        functions: diffSymbolMaps(oldSymbols.functions, newSymbols.functions),
+        classes: diffSymbolMaps(oldSymbols.classes, newSymbols.classes)
+    };
+}
+
+module.exports = { getDocumentSymbols, flattenSymbols, diffSymbolTrees };
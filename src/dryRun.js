@@ -0,0 +1,130 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+
+// Collects what a dry run would have written: each staged file is kept as a before/after pair
+// under the staging folder, and every planned call is logged to an output channel and plan.log
+class DryRun {
+    constructor(stagingDir) {
+        this.stagingDir = stagingDir;
+        this.outputChannel = null;
+        this.staged = new Map();
+    }
+
+    reset() {
+        fs.rmSync(this.stagingDir, { recursive: true, force: true });
+        fs.mkdirSync(this.stagingDir, { recursive: true });
+        this.staged.clear();
+        this.log(`Dry run started; nothing is written, planned changes are staged in ${this.stagingDir}`);
+    }
+
+    log(message) {
+        if (!this.outputChannel) {
+            this.outputChannel = vscode.window.createOutputChannel('Activity Tracker Dry Run');
+        }
+        const line = `[${new Date().toISOString()}] ${message}`;
+        this.outputChannel.appendLine(line);
+        console.log(`[dry run] ${message}`);
+        try {
+            fs.mkdirSync(this.stagingDir, { recursive: true });
+            fs.appendFileSync(path.join(this.stagingDir, 'plan.log'), line + '\n');
+        } catch (error) {
+            console.error('Failed to write dry run plan:', error);
+        }
+    }
+
+    getStagedPath(side, target, filePath) {
+        return path.join(this.stagingDir, side, ...target.split('/'), ...filePath.split('/'));
+    }
+
+    // Staged content for a file, undefined if untouched, or null if the dry run deleted it
+    readStaged(target, filePath) {
+        const entry = this.staged.get(`${target}/${filePath}`);
+        return entry ? entry.after : undefined;
+    }
+
+    // What a staged file held before the dry run first touched it, or undefined if untouched
+    readOriginal(target, filePath) {
+        const entry = this.staged.get(`${target}/${filePath}`);
+        return entry ? entry.before : undefined;
+    }
+
+    // Stages the files that would change and logs the commit; files follow ActivityStorage#commitFiles
+    async stageCommit(target, files, message, readCurrent) {
+        const changed = [];
+        for (const file of files) {
+            const staged = this.readStaged(target, file.path);
+            const current = staged !== undefined ? staged : await readCurrent(file.path);
+
+            if (file.content === null ? current === null : current !== null && (file.createOnly || current === file.content)) {
+                continue;
+            }
+            this.stage(target, file.path, current, file.content);
+            changed.push(this.describeChange(file.path, current, file.content));
+        }
+
+        if (changed.length === 0) {
+            this.log(`Would skip commit to ${target}, nothing changed: ${message}`);
+            return null;
+        }
+        this.log(`Would commit ${changed.length} files to ${target}: ${message}\n    ${changed.join('\n    ')}`);
+        return changed;
+    }
+
+    stage(target, filePath, before, after) {
+        const key = `${target}/${filePath}`;
+        // Keep the original "before" across repeated writes so the diff shows the whole change
+        const original = this.staged.has(key) ? this.staged.get(key).before : before;
+        this.staged.set(key, { target, path: filePath, before: original, after });
+
+        [['before', original], ['after', after]].forEach(([side, content]) => {
+            const stagedPath = this.getStagedPath(side, target, filePath);
+            fs.mkdirSync(path.dirname(stagedPath), { recursive: true });
+            fs.writeFileSync(stagedPath, content || '');
+        });
+    }
+
+    describeChange(filePath, before, after) {
+        if (after === null) return `delete ${filePath}`;
+        if (before === null) return `create ${filePath} (${after.replace(/\n$/, '').split('\n').length} lines)`;
+        const added = after.startsWith(before) ? after.slice(before.length).split('\n').filter(Boolean).length : null;
+        return added !== null ? `append ${added} lines to ${filePath}` : `update ${filePath}`;
+    }
+
+    // Plan in the output channel, then a picker that opens each staged file as a diff
+    async showResults() {
+        if (this.outputChannel) this.outputChannel.show(true);
+        if (this.staged.size === 0) {
+            vscode.window.showInformationMessage('Dry run finished: nothing would be written.');
+            return;
+        }
+
+        const items = Array.from(this.staged.values()).map(entry => ({
+            label: entry.path,
+            description: entry.target,
+            detail: this.describeChange(entry.path, entry.before, entry.after),
+            entry
+        }));
+        const choice = await vscode.window.showQuickPick(items, {
+            placeHolder: `Dry run would write ${items.length} files; pick one to see its diff`
+        });
+        if (!choice) return;
+
+        const { target, path: filePath } = choice.entry;
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            vscode.Uri.file(this.getStagedPath('before', target, filePath)),
+            vscode.Uri.file(this.getStagedPath('after', target, filePath)),
+            `${target}/${filePath} (dry run)`
+        );
+    }
+
+    dispose() {
+        if (this.outputChannel) {
+            this.outputChannel.dispose();
+            this.outputChannel = null;
+        }
+    }
+}
+
+module.exports = DryRun;
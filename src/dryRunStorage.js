@@ -0,0 +1,64 @@
+const ActivityStorage = require('./activityStorage');
+const { mergeShardLines } = require('./visualization');
+
+// Wraps the configured storage during a dry run: reads fall through to it, writes are staged
+class DryRunStorage extends ActivityStorage {
+    constructor(storage, dryRun) {
+        super();
+        this.storage = storage;
+        this.dryRun = dryRun;
+    }
+
+    get description() {
+        return `${this.storage.description} (dry run)`;
+    }
+
+    get stagingName() {
+        return this.storage.stagingName;
+    }
+
+    get requiresGithub() {
+        return this.storage.requiresGithub;
+    }
+
+    get rendersVisualizations() {
+        return this.storage.rendersVisualizations;
+    }
+
+    async setup() {
+        this.dryRun.log(`Would set up ${this.storage.description}`);
+    }
+
+    // A backend that is not set up yet (no gist, missing folder) reads as empty
+    async readStored(filePath) {
+        try {
+            return await this.storage.readFile(filePath);
+        } catch (error) {
+            this.dryRun.log(`Could not read ${filePath} from ${this.storage.description}, treating it as new: ${error.message}`);
+            return null;
+        }
+    }
+
+    async readFile(filePath) {
+        const staged = this.dryRun.readStaged(this.stagingName, filePath);
+        return staged !== undefined ? staged : this.readStored(filePath);
+    }
+
+    async commitFiles(files, message) {
+        return this.dryRun.stageCommit(this.stagingName, files, message, filePath => this.readStored(filePath));
+    }
+
+    // Queued entries stay queued during a dry run, so every flush appends them to the content
+    // from before the dry run again rather than to what the previous flush staged
+    async append(appends, message) {
+        const files = [];
+        for (const [filePath, lines] of appends) {
+            const original = this.dryRun.readOriginal(this.stagingName, filePath);
+            const existingContent = original !== undefined ? original : await this.readStored(filePath);
+            files.push({ path: filePath, content: mergeShardLines(existingContent, lines) });
+        }
+        return this.commitFiles(files, message);
+    }
+}
+
+module.exports = DryRunStorage;
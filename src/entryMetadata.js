@@ -0,0 +1,29 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getBranch } = require('./gitExtension');
+const { ENTRY_SCHEMA_VERSION } = require('./visualization');
+
+// vscode.env.remoteName values, grouped the way the charts report them
+function getWorkspaceType() {
+    const remoteName = vscode.env.remoteName;
+    if (!remoteName) return 'local';
+    if (remoteName === 'wsl') return 'wsl';
+    if (remoteName === 'dev-container' || remoteName === 'attached-container') return 'dev-container';
+    if (remoteName === 'codespaces') return 'codespaces';
+    return 'remote';
+}
+
+// Fields shared by every entry the tracker logs, whatever triggered it
+function getEntryMetadata(uri, languageId, privacyFilter) {
+    return {
+        schemaVersion: ENTRY_SCHEMA_VERSION,
+        language: languageId,
+        fileExtension: path.extname(uri.fsPath).toLowerCase(),
+        branch: privacyFilter.redactBranch(getBranch(uri)),
+        workspaceType: getWorkspaceType(),
+        vscodeVersion: vscode.version,
+        timezoneOffset: new Date().getTimezoneOffset()
+    };
+}
+
+module.exports = { getEntryMetadata, getWorkspaceType };
@@ -2,30 +2,36 @@ const vscode = require('vscode');
 const ActivityTracker = require('./activityTracker');
 const GitManager = require('./gitManager');
 const GithubAPI = require('./githubAPI');
-const Scheduler = require('./scheduler');
+const StatusBar = require('./statusBar');
+const Dashboard = require('./dashboard');
+const GoalTracker = require('./goalTracker');
+const { getConfiguration, onDidChangeConfiguration } = require('./config');
+const { allowGiteaTokenPrompt } = require('./storageBackends');
 
 let tracker;
 let gitManager;
 let githubApi;
-let scheduler;
+let statusBar;
+let dashboard;
+let goalTracker;
 
 async function activate(context) {
     try {
-        // Initialize Github API and authenticate
-        githubApi = new GithubAPI();
-        await githubApi.authenticate().catch(error => {
-            throw new Error(`GitHub authentication failed: ${error.message}`);
-        });
+        // Sign-in happens lazily, on the first setup or upload that needs GitHub
+        githubApi = new GithubAPI({ enterpriseUrl: getConfiguration().github.enterpriseUrl });
 
-        // Initialize GitManager with the authenticated githubApi
-        gitManager = new GitManager(githubApi);
-        
-        // Auto setup repository and configurations
-        await gitManager.autoSetupRepository();
+        // Initialize GitManager with the githubApi, a durable queue and the configured storage
+        gitManager = new GitManager(githubApi, {
+            storagePath: context.globalStorageUri.fsPath,
+            secrets: context.secrets,
+            globalState: context.globalState
+        });
 
-        // Initialize tracker and scheduler
-        tracker = new ActivityTracker(gitManager);
-        scheduler = new Scheduler(tracker);
+        // Initialize tracker
+        tracker = new ActivityTracker(gitManager, { globalState: context.globalState });
+        goalTracker = new GoalTracker(gitManager, context.globalState);
+        statusBar = new StatusBar(tracker, gitManager, goalTracker);
+        dashboard = new Dashboard(gitManager);
 
         // Register commands
         let startTracking = vscode.commands.registerCommand(
@@ -43,6 +49,8 @@ async function activate(context) {
             'activity-tracker.syncSetup',
             async () => {
                 try {
+                    // Running setup by hand is the moment to ask again for a token the user dismissed
+                    allowGiteaTokenPrompt();
                     await gitManager.autoSetupRepository();
                     vscode.window.showInformationMessage('Activity tracker sync completed successfully!');
                 } catch (error) {
@@ -51,19 +59,75 @@ async function activate(context) {
             }
         );
 
-        context.subscriptions.push(startTracking, stopTracking, syncSetup);
-        
-        // Start tracking automatically
-        tracker.start();
+        let syncNow = vscode.commands.registerCommand(
+            'activity-tracker.syncNow',
+            async () => {
+                const pending = await gitManager.flush();
+                if (gitManager.isDryRun) {
+                    // Entries stay queued in a dry run; show what the sync staged instead
+                    await gitManager.dryRun.showResults();
+                } else if (pending === 0) {
+                    vscode.window.showInformationMessage(`All activity has been synced to ${gitManager.storage.description}.`);
+                } else {
+                    vscode.window.showWarningMessage(`${pending} activity entries are still pending and will be retried.`);
+                }
+            }
+        );
+
+        let dryRun = vscode.commands.registerCommand(
+            'activity-tracker.dryRun',
+            async () => {
+                try {
+                    const result = await vscode.window.withProgress(
+                        { location: vscode.ProgressLocation.Notification, title: 'Activity Tracker: staging a dry run...' },
+                        () => gitManager.runDryRun()
+                    );
+                    await result.showResults();
+                } catch (error) {
+                    vscode.window.showErrorMessage(`Dry run failed: ${error.message}`);
+                }
+            }
+        );
+
+        let showDashboard = vscode.commands.registerCommand(
+            'activity-tracker.showDashboard',
+            () => dashboard.show()
+        );
+
+        // A different repository, storage, chart palette or goal needs setup to run again before it takes effect.
+        // The gist id is left out because setup itself writes it
+        let repositoryListener = onDidChangeConfiguration(async (config, event) => {
+            const sections = ['github', 'repository', 'visualization', 'goals', 'storage.backend', 'storage.localPath', 'storage.giteaUrl', 'storage.giteaRepository'];
+            if (!sections.some(section => event.affectsConfiguration(`activityTracker.${section}`))) return;
+
+            const choice = await vscode.window.showInformationMessage(
+                `Activity storage settings for ${gitManager.storage.description} changed. Run setup now?`,
+                'Run Setup'
+            );
+            if (choice === 'Run Setup') {
+                await vscode.commands.executeCommand('activity-tracker.syncSetup');
+            }
+        });
+
+        context.subscriptions.push(startTracking, stopTracking, syncSetup, syncNow, dryRun, showDashboard, repositoryListener);
         
-        vscode.window.showInformationMessage('Activity tracking initialized and started automatically!');
+        if (getConfiguration().autoStart) {
+            tracker.start();
+            vscode.window.showInformationMessage('Activity tracking initialized and started automatically!');
+        }
+
+        // Setup needs the network, so it must not hold up tracking; entries wait in the queue meanwhile.
+        // With auto-start off nothing is signed in or created until the first upload, unless entries are already queued
+        if (getConfiguration().autoStart || gitManager.activityQueue.pendingCount > 0) {
+            gitManager.setUpInBackground();
+        }
     } catch (error) {
         vscode.window.showErrorMessage(`Activation failed: ${error.message}`);
     }
 
     // Setup auto-save to trigger activity logging
     vscode.workspace.onDidSaveTextDocument(async (document) => {
-        if (tracker.isTracking) {
+        if (tracker && tracker.isTracking) {
             await tracker.logFileActivity(document);
         }
     });
@@ -78,19 +142,34 @@ async function activate(context) {
 //     }
 // }
 
-function deactivate() {
-    if (scheduler) {
-        scheduler.stop();
-        scheduler = null;
+async function deactivate() {
+    if (statusBar) {
+        statusBar.dispose();
+        statusBar = null;
+    }
+    if (dashboard) {
+        dashboard.dispose();
+        dashboard = null;
+    }
+    if (goalTracker) {
+        goalTracker.dispose();
+        goalTracker = null;
     }
     if (tracker) {
-        tracker.stop();
+        tracker.dispose();
         tracker = null;
     }
     if (gitManager) {
+        // Anything that fails to upload stays on disk for the next session
+        gitManager.dispose();
+        const pending = await gitManager.flush();
+        if (pending > 0) {
+            console.log(`${pending} activity entries are still pending and will be uploaded next session`);
+        }
         gitManager = null;
     }
     if (githubApi) {
+        githubApi.dispose();
         githubApi = null;
     }
 }
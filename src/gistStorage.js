@@ -0,0 +1,126 @@
+const ActivityStorage = require('./activityStorage');
+const { createConflictError } = require('./activityStorage');
+
+// Gists have no folders, so "projects/app/2024/05.jsonl" is stored as "projects__app__2024__05.jsonl"
+const PATH_SEPARATOR = '__';
+// The API lists at most this many files of a gist; the rest are left out without an error
+const MAX_LISTED_FILES = 300;
+
+// A secret gist on the user's GitHub account; every commitFiles call is one gist revision
+class GistStorage extends ActivityStorage {
+    constructor(githubApi, gistId, options = {}) {
+        super();
+        this.githubApi = githubApi;
+        this.gistId = gistId || null;
+        // Called with the new id so it can be saved to settings
+        this.onCreated = options.onCreated || (() => {});
+    }
+
+    get description() {
+        return this.gistId ? `gist ${this.gistId}` : 'a new gist';
+    }
+
+    get stagingName() {
+        return `gist/${this.gistId || 'new'}`;
+    }
+
+    get requiresGithub() {
+        return true;
+    }
+
+    toFileName(filePath) {
+        return filePath.split('/').join(PATH_SEPARATOR);
+    }
+
+    async setup() {
+        if (this.gistId) return;
+
+        console.log('Creating activity gist...');
+        const { data } = await this.githubApi.octokit.gists.create({
+            description: 'Coding activity tracked by the Activity Tracker extension',
+            public: false,
+            files: {
+                'README.md': { content: '# Coding Activity\nActivity logs and charts written by the Activity Tracker extension.\n' }
+            }
+        });
+        this.gistId = data.id;
+        console.log(`Created gist ${data.html_url}`);
+        await this.onCreated(data.id);
+    }
+
+    async getFiles() {
+        const { data } = await this.githubApi.octokit.gists.get({ gist_id: this.gistId });
+        const files = data.files;
+        const isListingComplete = !data.truncated && Object.keys(files).length < MAX_LISTED_FILES;
+        return { files, isListingComplete };
+    }
+
+    // A file missing from a cut-off listing may still exist, and writing it as new would replace it
+    getListedFile(listing, filePath) {
+        const file = listing.files[this.toFileName(filePath)];
+        if (!file && !listing.isListingComplete) {
+            throw new Error(`Gist ${this.gistId} holds more files than the API lists, so ${filePath} cannot be read safely; move the activity to another storage backend`);
+        }
+        return file || null;
+    }
+
+    async readFile(filePath) {
+        const file = this.getListedFile(await this.getFiles(), filePath);
+        return file ? this.getContent(file) : null;
+    }
+
+    async getContent(file) {
+        if (!file.truncated) return file.content;
+
+        // The API cuts file content off at about a megabyte; the raw URL has all of it
+        const response = await fetch(file.raw_url);
+        if (!response.ok) {
+            throw new Error(`Failed to read ${file.filename} from gist: ${response.status}`);
+        }
+        return response.text();
+    }
+
+    async commitFiles(files, message) {
+        try {
+            const listing = await this.getFiles();
+            const changes = {};
+            for (const file of files) {
+                const name = this.toFileName(file.path);
+                const current = this.getListedFile(listing, file.path);
+                // Gists take no revision to write against, so compare with the latest content instead
+                if (file.baseContent !== undefined && (current ? await this.getContent(current) : null) !== file.baseContent) {
+                    throw createConflictError(file.path);
+                }
+                if (file.content === null) {
+                    if (current) changes[name] = null;
+                } else if (!current || (!file.createOnly && (current.truncated || current.content !== file.content))) {
+                    changes[name] = { content: file.content };
+                }
+            }
+
+            if (Object.keys(changes).length === 0) {
+                console.log(`All ${files.length} files are unchanged in gist ${this.gistId}`);
+                return null;
+            }
+
+            // Gist revisions have no message; log it so the write can still be traced
+            console.log(`Updating ${Object.keys(changes).length} files in gist ${this.gistId}: ${message}`);
+            const { data } = await this.githubApi.octokit.gists.update({
+                gist_id: this.gistId,
+                files: changes
+            });
+            return data;
+        } catch (error) {
+            console.error('Gist update error:', {
+                message: error.message,
+                status: error.status,
+                gistId: this.gistId
+            });
+            const wrapped = new Error(`Failed to update gist: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
+        }
+    }
+}
+
+module.exports = GistStorage;
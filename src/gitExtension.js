@@ -0,0 +1,42 @@
+const vscode = require('vscode');
+
+// Returns the built-in Git extension's API, or null when it is disabled or not yet activated
+function getGitApi() {
+    const extension = vscode.extensions.getExtension('vscode.git');
+    if (!extension || !extension.isActive) return null;
+
+    try {
+        return extension.exports.getAPI(1);
+    } catch (error) {
+        console.log('Git extension API unavailable:', error.message);
+        return null;
+    }
+}
+
+// Like getGitApi, but waits for the Git extension to activate if it is installed and enabled
+async function activateGitApi() {
+    const extension = vscode.extensions.getExtension('vscode.git');
+    if (!extension) return null;
+
+    try {
+        if (!extension.isActive) {
+            await extension.activate();
+        }
+    } catch (error) {
+        console.log('Git extension could not be activated:', error.message);
+        return null;
+    }
+    return getGitApi();
+}
+
+function getRepository(uri) {
+    const api = getGitApi();
+    return api ? api.getRepository(uri) : null;
+}
+
+function getBranch(uri) {
+    const repository = getRepository(uri);
+    return repository?.state.HEAD?.name || null;
+}
+
+module.exports = { getGitApi, activateGitApi, getRepository, getBranch };
@@ -1,13 +1,176 @@
+const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const ActivityQueue = require('./activityQueue');
+const { gitBlobSha } = require('./githubAPI');
+const { createStorage } = require('./storageBackends');
+const DryRun = require('./dryRun');
+const DryRunStorage = require('./dryRunStorage');
+const { renderProfileSection, hasProfileSection, applyProfileSection, README_BACKUP_PATH } = require('./profileReadme');
+const {
+    getShardPath,
+    loadActivity,
+    renderCharts,
+    CHARTS,
+    VISUALIZATION_FILES
+} = require('./visualization');
+const { SECTION, getConfiguration, onDidChangeConfiguration } = require('./config');
+const { version: EXTENSION_VERSION } = require('../package.json');
+
+// Bump when the managed files or repository layout change in a way older setups need migrating from
+const SETUP_SCHEMA_VERSION = 1;
+const SETUP_MANIFEST_PATH = '.github/activity-tracker.json';
+// Repositories (by full name) whose visibility the user chose to keep despite the setting
+const KEPT_VISIBILITY_STATE_KEY = 'activityTracker.keptRepositoryVisibility';
+
+// Managed files are always rewritten from the current templates, so a migration only covers what
+// templates cannot express, such as files an older version created that are no longer shipped
+const SETUP_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'record setup in a manifest and drop the unused visualization script',
+        obsoleteFiles: ['.github/scripts/generate-visualizations.js']
+    }
+];
 
 class GitManager {
-    constructor(githubApi) {
+    constructor(githubApi, options = {}) {
         this.githubApi = githubApi;
-        this.activityQueue = new Map();
+        this.secrets = options.secrets;
+        this.globalState = options.globalState;
+        // A storage passed in is used as is; otherwise the backend follows activityTracker.storage.*
+        this.fixedStorage = options.storage || null;
+        this.activityQueue = new ActivityQueue(options.storagePath);
+        // Local mirror of everything logged, laid out like the repository so it can be read offline
+        this.localActivityDir = options.storagePath ? path.join(options.storagePath, 'activity') : null;
         this.isProcessingQueue = false;
+        this.queueProcessing = null;
         this.queueProcessInterval = null;
-        this.REPO_NAME = 'activity-tracker';
+        this.lastPublishedAt = 0;
+        this.lastError = null;
+        // Uploads run setup first until the storage exists, e.g. after starting offline
+        this.isStorageReady = false;
+        this.setupInProgress = null;
+        // Staging folder for dry runs; the mode itself follows activityTracker.dryRun or runDryRun
+        this.dryRun = new DryRun(path.join(options.storagePath || os.tmpdir(), 'dry-run'));
+        this.isDryRun = false;
+        this.dryRunSetting = false;
+        this.stateEmitter = new vscode.EventEmitter();
+        this.onDidChangeState = this.stateEmitter.event;
+        // Fired with each entry once it is queued, for views that keep their own totals
+        this.activityEmitter = new vscode.EventEmitter();
+        this.onDidLogActivity = this.activityEmitter.event;
+        this.applyConfiguration(getConfiguration());
+        this.configurationListener = onDidChangeConfiguration(config => this.applyConfiguration(config));
+
+        // Resume uploading anything left over from a previous session
+        if (this.activityQueue.pendingCount > 0) {
+            this.startQueueProcessor();
+        }
+    }
+
+    applyConfiguration(config) {
+        this.REPO_NAME = config.repository.name;
+        this.repoVisibility = config.repository.visibility;
+        this.publishRepository = config.repository.publishRepository;
+        this.palette = config.visualization.palette;
+        this.readmeCharts = config.visualization.readmeCharts.filter(chart => CHARTS.includes(chart));
+        this.readmePosition = config.visualization.readmePosition;
+        this.goals = { daily: config.goals.daily, weekly: config.goals.weekly, unit: config.goals.unit };
+        this.publishInterval = config.schedulerIntervalMinutes * 60 * 1000;
+        this.githubApi.repoOwner = config.repository.owner || null;
+        this.githubApi.setEnterpriseUrl(config.github.enterpriseUrl);
+        this.baseStorage = this.fixedStorage || createStorage(config, { githubApi: this.githubApi, secrets: this.secrets });
+        this.storage = this.isDryRun ? new DryRunStorage(this.baseStorage, this.dryRun) : this.baseStorage;
+        this.activityQueue.baseRetryDelay = config.retry.delayMs;
+        this.activityQueue.maxRetryDelay = config.retry.maxBackoffMinutes * 60 * 1000;
+
+        const flushInterval = config.flushIntervalSeconds * 1000;
+        if (flushInterval !== this.flushInterval) {
+            this.flushInterval = flushInterval;
+            // Restart a running processor so the new interval takes effect
+            if (this.queueProcessInterval) {
+                this.stopQueueProcessor();
+                this.startQueueProcessor();
+            }
+        }
+
+        if (config.dryRun !== this.dryRunSetting) {
+            this.dryRunSetting = config.dryRun;
+            this.setDryRun(config.dryRun);
+        }
+    }
+
+    // While on, setup and uploads stage their writes in the dry run folder instead of pushing them
+    setDryRun(enabled) {
+        this.isDryRun = enabled;
+        this.githubApi.setDryRun(enabled ? this.dryRun : null);
+        this.storage = enabled ? new DryRunStorage(this.baseStorage, this.dryRun) : this.baseStorage;
+
+        if (enabled) {
+            this.dryRun.reset();
+            this.stopQueueProcessor();
+        } else if (this.activityQueue.pendingCount > 0) {
+            // Entries kept back during the dry run go out for real now
+            this.startQueueProcessor();
+        }
+        this.stateEmitter.fire();
+    }
+
+    // Stages what setup and a sync would write right now, then returns to the configured mode
+    async runDryRun() {
+        const wasDryRun = this.isDryRun;
+        const previousError = this.lastError;
+        this.setDryRun(true);
+        try {
+            await this.autoSetupRepository();
+            // flush swallows upload errors, so surface one raised by this run
+            await this.flush();
+            if (this.lastError && this.lastError !== previousError) {
+                throw this.lastError;
+            }
+        } finally {
+            if (!wasDryRun) {
+                this.setDryRun(false);
+            }
+        }
+        return this.dryRun;
+    }
+
+    // Private mode keeps raw logs in a private repository and only publishes the rendered SVGs
+    get isPrivateMode() {
+        return this.repoVisibility === 'private';
+    }
+
+    // Sign in lazily: after switching to a GitHub backend or to a different GitHub server
+    async ensureAuthenticated() {
+        if (this.storage.requiresGithub && !this.githubApi.octokit) {
+            await this.githubApi.authenticate();
+        }
+    }
+
+    // Charts have to be pushed by the extension unless a workflow renders them where the README expects
+    get needsPublishing() {
+        return this.isPrivateMode || !this.storage.rendersVisualizations;
+    }
+
+    getPublishLocation() {
+        return {
+            repo: this.publishRepository || this.githubApi.username,
+            directory: 'activity-tracker'
+        };
+    }
+
+    async getVisualizationsUrl() {
+        if (!this.isPrivateMode) {
+            return this.githubApi.getRawUrl(this.githubApi.ownerFor(this.REPO_NAME), this.REPO_NAME, 'main', 'visualizations');
+        }
+
+        const { repo, directory } = this.getPublishLocation();
+        const branch = await this.githubApi.getDefaultBranch(repo);
+        return this.githubApi.getRawUrl(this.githubApi.ownerFor(repo), repo, branch, directory);
     }
 
     async ensureProfileRepository() {
@@ -21,8 +184,6 @@ class GitManager {
                     description: `${this.githubApi.username}'s GitHub Profile`,
                     isProfile: true
                 });
-                // Wait for repository creation to complete
-                await new Promise(resolve => setTimeout(resolve, 3000));
             }
         } catch (error) {
             console.error('Failed to ensure profile repository:', error);
@@ -30,38 +191,28 @@ class GitManager {
         }
     }
     
+    // Only the marked activity section is ours; the rest of the profile README belongs to the user
     async ensureProfileReadme() {
         try {
             console.log('Checking profile README...');
-            const existingContent = await this.githubApi.getFileContent(this.githubApi.username, 'README.md');
-    
-            // Correctly format both visualizations as images
-            const visualizationsUrl = `https://raw.githubusercontent.com/${this.githubApi.username}/activity-tracker/main/visualizations`;
+            const profileRepo = this.githubApi.username;
+            const existingContent = await this.githubApi.getFileContent(profileRepo, 'README.md');
     
-            const updatedContent = `# Hi there 👋
-Welcome to my GitHub profile!
-            
-## Coding Activity
-            
-### Activity Heatmap
-![Activity Heatmap](${visualizationsUrl}/heatmap.svg)
-            
-### Project Activity
-![Project Activity](${visualizationsUrl}/activity-chart.svg)
-            
-_Last updated: ${new Date().toUTCString()}_
-            `;
-            
-            if (!existingContent || existingContent !== updatedContent) {
-                console.log('Updating profile README with visualizations...');
-                await this.githubApi.updateFile(
-                    this.githubApi.username,
-                    'README.md',
-                    updatedContent,
-                    'Update profile README with visualizations',
-                    existingContent ? existingContent.sha : null
-                );
+            // Embed the charts picked in settings, each with its light and dark variant
+            const visualizationsUrl = await this.getVisualizationsUrl();
+            const section = renderProfileSection(visualizationsUrl, this.readmeCharts);
+            const updatedContent = applyProfileSection(existingContent, section, this.readmePosition);
+            if (existingContent === updatedContent) return;
+
+            const files = [{ path: 'README.md', content: updatedContent }];
+            if (existingContent && !hasProfileSection(existingContent)) {
+                // First run against a hand-written README: keep a copy before adding our section
+                console.log(`Backing up profile README to ${README_BACKUP_PATH}`);
+                files.push({ path: README_BACKUP_PATH, content: existingContent, createOnly: true });
             }
+
+            console.log('Updating profile README with visualizations...');
+            await this.githubApi.commitFiles(profileRepo, files, 'Update activity section of profile README');
         } catch (error) {
             console.error('Failed to update profile README:', error);
             throw error;
@@ -69,35 +220,148 @@ _Last updated: ${new Date().toUTCString()}_
     }
     
     
-    async autoSetupRepository() {
+    // Everything setup does, once; calls made while it runs (an upload, the setup command) share that run
+    autoSetupRepository() {
+        if (!this.setupInProgress) {
+            this.setupInProgress = this.runSetup().finally(() => {
+                this.setupInProgress = null;
+            });
+        }
+        return this.setupInProgress;
+    }
+
+    async runSetup() {
+        const failures = [];
+        // Only the storage itself has to exist before logs can be uploaded; the rest is reported, not fatal
+        const runStep = async (name, step) => {
+            try {
+                await step();
+            } catch (error) {
+                console.error(`Setup step "${name}" failed:`, error);
+                failures.push(`${name}: ${error.message}`);
+            }
+        };
+
         try {
-            console.log('Starting automated repository setup...');
-            
-            // First ensure the profile repository exists
-            await this.ensureProfileRepository();
-            await this.ensureProfileReadme();
-            
-            // Then set up the activity tracker repository
-            await this.ensureRepository();
-            await this.configureRepositorySettings();
-            await this.initializeRepoStructure();
-            await this.setupGitHubActions();
-            
-            console.log('Automated repository setup completed successfully');
-            return true;
+            console.log(`Starting automated setup of ${this.storage.description}...`);
+            await this.ensureAuthenticated();
+
+            // Other backends have no workflow or profile README, only the folders and their charts
+            if (!this.storage.rendersVisualizations) {
+                await this.storage.setup();
+                this.isStorageReady = this.isStorageReady || !this.isDryRun;
+                await runStep('initial files', () => this.storage.commitFiles(
+                    this.getManagedFiles().filter(file => file.createOnly),
+                    'Initialize activity storage'
+                ));
+                await runStep('charts', () => this.publishVisualizations());
+            } else {
+                await this.ensureRepository();
+                this.isStorageReady = this.isStorageReady || !this.isDryRun;
+                await runStep('repository visibility', () => this.ensureRepositoryVisibility());
+
+                await runStep('profile README', async () => {
+                    await this.ensureProfileRepository();
+                    await this.ensureProfileReadme();
+                });
+
+                // Runs on every launch, so skip everything but the checks when nothing changed
+                await runStep('repository files', async () => {
+                    const manifest = await this.loadSetupManifest();
+                    const managedFiles = this.getManagedFiles();
+                    if (this.isSetupCurrent(manifest, managedFiles)) {
+                        console.log(`Repository setup is up to date (schema v${SETUP_SCHEMA_VERSION})`);
+                        return;
+                    }
+                    await this.configureRepositorySettings();
+                    await this.syncManagedFiles(manifest, managedFiles);
+                    await this.setupGitHubActions();
+                });
+                await runStep('charts', () => this.publishVisualizations());
+            }
         } catch (error) {
             console.error('Automated setup failed:', error);
             throw new Error(`Automated setup failed: ${error.message}`);
         }
+
+        if (failures.length > 0) {
+            throw new Error(`Automated setup did not finish: ${failures.join('; ')}`);
+        }
+        console.log('Automated setup completed successfully');
+        return true;
+    }
+
+    // Until the storage exists, a failure here is retried by the next upload, with the queue's backoff
+    setUpInBackground() {
+        return this.autoSetupRepository().catch(error => {
+            console.error('Setup failed:', error);
+            this.lastError = error;
+            this.stateEmitter.fire();
+            if (this.isStorageReady) {
+                // Uploads go ahead; only the parts around the storage are missing
+                vscode.window.showWarningMessage(`Activity is being uploaded, but part of setup failed. ${error.message}`);
+            }
+            if (this.activityQueue.pendingCount > 0) {
+                this.startQueueProcessor();
+            }
+        });
     }
 
     async ensureRepository() {
         const exists = await this.githubApi.checkRepoExists(this.REPO_NAME);
         if (!exists) {
             console.log('Creating new repository...');
-            await this.githubApi.createRepo(this.REPO_NAME);
-            // Wait for repository creation to complete
-            await new Promise(resolve => setTimeout(resolve, 3000));
+            await this.githubApi.createRepo(this.REPO_NAME, { visibility: this.repoVisibility });
+        }
+    }
+
+    // Visibility is only ever changed after the user explicitly agrees
+    async ensureRepositoryVisibility() {
+        const actual = await this.githubApi.getRepoVisibility(this.REPO_NAME);
+        if (actual === this.repoVisibility) return;
+
+        const fullName = `${this.githubApi.ownerFor(this.REPO_NAME)}/${this.REPO_NAME}`;
+        const kept = this.globalState?.get(KEPT_VISIBILITY_STATE_KEY, {}) || {};
+        if (kept[fullName] === actual) {
+            console.log(`Leaving ${fullName} ${actual}, as chosen earlier`);
+            return;
+        }
+
+        // Not awaited, so setup and uploads carry on with the repository as it is while the question is open
+        this.askAboutVisibility(fullName, actual, kept);
+    }
+
+    async askAboutVisibility(fullName, actual, kept) {
+        const change = `Make ${this.repoVisibility}`;
+        const useActual = `Set to ${actual} in settings`;
+        const keep = 'Keep as is';
+        const choice = await vscode.window.showWarningMessage(
+            `The activity repository ${fullName} is ${actual}, but your settings ask for a ${this.repoVisibility} repository.`,
+            change,
+            useActual,
+            keep
+        );
+
+        try {
+            if (choice === change) {
+                console.log(`Changing ${fullName} visibility to ${this.repoVisibility}...`);
+                await this.githubApi.octokit.repos.update({
+                    owner: this.githubApi.ownerFor(this.REPO_NAME),
+                    repo: this.REPO_NAME,
+                    visibility: this.repoVisibility
+                });
+            } else if (choice === useActual) {
+                await vscode.workspace
+                    .getConfiguration(SECTION)
+                    .update('repository.visibility', actual, vscode.ConfigurationTarget.Global);
+            } else if (choice === keep) {
+                await this.globalState?.update(KEPT_VISIBILITY_STATE_KEY, { ...kept, [fullName]: actual });
+            } else {
+                console.log(`Leaving ${fullName} ${actual}; visibility was not changed`);
+            }
+        } catch (error) {
+            console.error('Failed to apply repository visibility choice:', error);
+            vscode.window.showErrorMessage(`Failed to update ${fullName} visibility: ${error.message}`);
         }
     }
 
@@ -107,7 +371,7 @@ _Last updated: ${new Date().toUTCString()}_
             
             // Update repository settings using the correct API endpoint
             await this.githubApi.octokit.repos.update({
-                owner: this.githubApi.username,
+                owner: this.githubApi.ownerFor(this.REPO_NAME),
                 repo: this.REPO_NAME,
                 has_issues: true,
                 has_projects: true,
@@ -116,13 +380,12 @@ _Last updated: ${new Date().toUTCString()}_
                 allow_merge_commit: true,
                 allow_rebase_merge: true,
                 delete_branch_on_merge: true,
-                allow_auto_merge: true,
-                visibility: 'public'
+                allow_auto_merge: true
             });
 
             // Enable vulnerability alerts and security features
             await this.githubApi.octokit.request('PUT /repos/{owner}/{repo}/vulnerability-alerts', {
-                owner: this.githubApi.username,
+                owner: this.githubApi.ownerFor(this.REPO_NAME),
                 repo: this.REPO_NAME,
                 headers: {
                     'X-GitHub-Api-Version': '2022-11-28'
@@ -139,7 +402,7 @@ _Last updated: ${new Date().toUTCString()}_
             console.log('Setting up branch protection and environments...');
             
             await this.githubApi.octokit.repos.createOrUpdateEnvironment({
-                owner: this.githubApi.username,
+                owner: this.githubApi.ownerFor(this.REPO_NAME),
                 repo: this.REPO_NAME,
                 environment_name: 'github-pages',
                 deployment_branch_policy: {
@@ -149,7 +412,7 @@ _Last updated: ${new Date().toUTCString()}_
             });
 
             await this.githubApi.octokit.repos.updateBranchProtection({
-                owner: this.githubApi.username,
+                owner: this.githubApi.ownerFor(this.REPO_NAME),
                 repo: this.REPO_NAME,
                 branch: 'main',
                 required_status_checks: null,
@@ -266,38 +529,14 @@ _Last updated: ${new Date().toUTCString()}_
             console.log('Setting up GitHub Actions...');
             
             await this.githubApi.octokit.repos.update({
-                owner: this.githubApi.username,
+                owner: this.githubApi.ownerFor(this.REPO_NAME),
                 repo: this.REPO_NAME,
                 has_actions_write: true  // Explicitly enable Actions write permissions
             });
             
-            // First ensure the workflows directory exists by creating a dummy file
-            await this.githubApi.updateFile(
-                this.REPO_NAME,
-                '.github/workflows/README.md',
-                'GitHub Actions Workflows Directory',
-                'Initialize workflows directory'
-            );
-
-            // Add visualization.js to scripts directory
-            await this.githubApi.updateFile(
-                this.REPO_NAME,
-                '.github/scripts/visualization.js',
-                fs.readFileSync(path.join(__dirname, 'visualization.js'), 'utf8'),
-                'Add visualization script'
-            );
-
-            // Now add the workflow file
-            await this.githubApi.updateFile(
-                this.REPO_NAME,
-                '.github/workflows/update-activity.yml',
-                this.getWorkflowContent(),
-                'Setup automated workflow'
-            );
-
             // Enable Actions using the correct API endpoint
             await this.githubApi.octokit.request('PUT /repos/{owner}/{repo}/actions/permissions', {
-                owner: this.githubApi.username,
+                owner: this.githubApi.ownerFor(this.REPO_NAME),
                 repo: this.REPO_NAME,
                 enabled: true,
                 allowed_actions: 'all'
@@ -309,51 +548,113 @@ _Last updated: ${new Date().toUTCString()}_
         }
     }
 
-    async initializeRepoStructure() {
+    // Everything setup writes to the activity repository. READMEs are only seeded, so edits survive
+    getManagedFiles() {
+        return [
+            {
+                path: 'README.md',
+                content: this.getInitialReadme(),
+                createOnly: true
+            },
+            {
+                path: 'projects/README.md',
+                content: '# Project Activity Logs\nThis directory contains activity logs for different projects, stored as one JSON entry per line in `<project>/<year>/<month>.jsonl`.',
+                createOnly: true
+            },
+            {
+                path: 'visualizations/README.md',
+                content: '# Visualizations\nThis directory contains automatically generated activity visualizations.',
+                createOnly: true
+            },
+            {
+                path: '.github/workflows/README.md',
+                content: 'GitHub Actions Workflows Directory'
+            },
+            {
+                path: '.github/scripts/update-profile.js',
+                content: this.getProfileScript()
+            },
+            {
+                path: '.github/scripts/visualization.js',
+                content: fs.readFileSync(path.join(__dirname, 'visualization.js'), 'utf8')
+            },
+            {
+                path: '.github/scripts/profileReadme.js',
+                content: fs.readFileSync(path.join(__dirname, 'profileReadme.js'), 'utf8')
+            },
+            {
+                path: '.github/workflows/update-activity.yml',
+                content: this.getWorkflowContent()
+            }
+        ];
+    }
+
+    async loadSetupManifest() {
+        const content = await this.githubApi.getFileContent(this.REPO_NAME, SETUP_MANIFEST_PATH);
+        if (!content) return null;
+
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            console.log('Ignoring unreadable setup manifest:', error.message);
+            return null;
+        }
+    }
+
+    isSetupCurrent(manifest, managedFiles) {
+        if (!manifest || manifest.schemaVersion !== SETUP_SCHEMA_VERSION) return false;
+        return managedFiles
+            .filter(file => !file.createOnly)
+            .every(file => manifest.files?.[file.path] === gitBlobSha(file.content));
+    }
+
+    // Migrates older setups and writes changed managed files plus the new manifest as one commit
+    async syncManagedFiles(manifest, managedFiles) {
         try {
-            console.log('Initializing repository structure...');
-            const files = [
-                {
-                    path: 'README.md',
-                    content: this.getInitialReadme()
-                },
-                // {
-                //     path: '.github/scripts/generate-visualizations.js',
-                //     content: this.getVisualizationScript()
-                // },
-                {
-                    path: '.github/scripts/update-profile.js',
-                    content: this.getProfileScript()
-                },
-                {
-                    path: 'projects/README.md',
-                    content: '# Project Activity Logs\nThis directory contains activity logs for different projects.'
-                },
-                {
-                    path: 'visualizations/README.md',
-                    content: '# Visualizations\nThis directory contains automatically generated activity visualizations.'
-                }
-            ];
-
-            for (const file of files) {
-                await this.githubApi.updateFile(
-                    this.REPO_NAME,
-                    file.path,
-                    file.content,
-                    `Initialize ${file.path}`
-                );
-                // Add delay between file creations to prevent rate limiting
-                await new Promise(resolve => setTimeout(resolve, 1000));
+            const fromVersion = manifest ? manifest.schemaVersion : 0;
+            if (fromVersion > SETUP_SCHEMA_VERSION) {
+                // Never downgrade files written by a newer version of the extension
+                console.log(`Repository was set up by a newer extension (schema v${fromVersion}), leaving its files alone`);
+                return;
             }
+
+            const migrations = SETUP_MIGRATIONS.filter(migration => migration.version > fromVersion);
+            migrations.forEach(migration => {
+                console.log(`Migrating repository setup to v${migration.version}: ${migration.description}`);
+            });
+            const obsoleteFiles = migrations
+                .flatMap(migration => migration.obsoleteFiles || [])
+                .map(filePath => ({ path: filePath, content: null }));
+
+            const updatedManifest = {
+                schemaVersion: SETUP_SCHEMA_VERSION,
+                extensionVersion: EXTENSION_VERSION,
+                files: Object.fromEntries(managedFiles
+                    .filter(file => !file.createOnly)
+                    .map(file => [file.path, gitBlobSha(file.content)]))
+            };
+
+            await this.githubApi.commitFiles(
+                this.REPO_NAME,
+                [
+                    ...managedFiles,
+                    ...obsoleteFiles,
+                    { path: SETUP_MANIFEST_PATH, content: JSON.stringify(updatedManifest, null, 2) + '\n' }
+                ],
+                migrations.length > 0
+                    ? `Set up activity tracker (schema v${SETUP_SCHEMA_VERSION})`
+                    : 'Update activity tracker workflow and scripts'
+            );
         } catch (error) {
-            console.error('Failed to initialize repo structure:', error);
+            console.error('Failed to sync repository files:', error);
             throw error;
         }
     }
 
     startQueueProcessor() {
-        if (!this.queueProcessInterval) {
-            this.queueProcessInterval = setInterval(() => this.processActivityQueue(), 5000);
+        // A dry run only stages the queue when asked to, through flush or runDryRun
+        if (!this.queueProcessInterval && !this.isDryRun) {
+            this.queueProcessInterval = setInterval(() => this.processActivityQueue(), this.flushInterval);
         }
     }
 
@@ -364,73 +665,176 @@ _Last updated: ${new Date().toUTCString()}_
         }
     }
 
-    async logActivity(activityLog) {
+    async logActivity(activity) {
         try {
-            const projectKey = activityLog.project;
-            if (!this.activityQueue.has(projectKey)) {
-                this.activityQueue.set(projectKey, []);
-            }
-            
-            this.activityQueue.get(projectKey).push(activityLog);
+            // The id lets storage and readers drop copies uploaded twice by racing windows or retries
+            const activityLog = { id: crypto.randomUUID(), ...activity };
+            this.activityQueue.push(activityLog.project, activityLog);
+            this.cacheActivityLocally(activityLog);
             this.startQueueProcessor();
+            this.stateEmitter.fire();
+            this.activityEmitter.fire(activityLog);
+            return activityLog;
         } catch (error) {
             console.error('Failed to queue activity:', error);
             throw new Error('Failed to queue activity: ' + error.message);
         }
     }
 
-    async processActivityQueue() {
-        if (this.isProcessingQueue || this.activityQueue.size === 0) return;
-        
+    cacheActivityLocally(activityLog) {
+        if (!this.localActivityDir) return;
+
+        try {
+            const shardPath = path.join(this.localActivityDir, getShardPath(activityLog.project, activityLog.timestamp));
+            fs.mkdirSync(path.dirname(shardPath), { recursive: true });
+            fs.appendFileSync(shardPath, JSON.stringify(activityLog) + '\n');
+        } catch (error) {
+            // The queue already holds the entry; only the dashboard misses it
+            console.error('Failed to cache activity locally:', error);
+        }
+    }
+
+    loadLocalActivity() {
+        if (!this.localActivityDir) return [];
+        return loadActivity(path.join(this.localActivityDir, 'projects'));
+    }
+
+    getPendingCount() {
+        return this.activityQueue.pendingCount;
+    }
+
+    processActivityQueue() {
+        if (this.isProcessingQueue) return this.queueProcessing;
+        if (this.activityQueue.pendingCount === 0 || !this.activityQueue.isReadyForRetry()) {
+            return Promise.resolve();
+        }
+
         this.isProcessingQueue = true;
+        this.stateEmitter.fire();
+        this.queueProcessing = this.uploadQueuedActivity().finally(() => {
+            this.isProcessingQueue = false;
+            this.queueProcessing = null;
+            this.stateEmitter.fire();
+        });
+        return this.queueProcessing;
+    }
+
+    async uploadQueuedActivity() {
         try {
-            // Batch update approach - collect all updates first
-            const updates = [];
-            
-            for (const [project, activities] of this.activityQueue.entries()) {
-                if (activities.length === 0) continue;
-                
-                const logFile = `projects/${project}/activity-log.json`;
-                let logs = [];
-                
-                try {
-                    const existingContent = await this.githubApi.getFileContent(
-                        this.REPO_NAME,
-                        logFile
-                    );
-                    if (existingContent) {
-                        logs = JSON.parse(existingContent);
+            const queued = this.activityQueue.entries();
+            const shards = new Map();
+            let entryCount = 0;
+
+            // Group entries by their monthly shard so a flush only touches current files
+            for (const [project, activities] of queued) {
+                for (const activity of activities) {
+                    const shardPath = getShardPath(project, activity.timestamp);
+                    if (!shards.has(shardPath)) {
+                        shards.set(shardPath, []);
                     }
-                } catch (error) {
-                    console.log('No existing log file found, creating new one');
+                    shards.get(shardPath).push(JSON.stringify(activity));
                 }
-                
-                logs.push(...activities);
-                
-                updates.push({
-                    file: logFile,
-                    content: JSON.stringify(logs, null, 2),
-                    message: `Update activity log with ${activities.length} entries`
+                entryCount += activities.length;
+            }
+
+            if (!this.isStorageReady && !this.isDryRun) {
+                // A setup that got as far as the storage is enough; its other failures are reported by setup
+                await this.autoSetupRepository().catch(error => {
+                    if (!this.isStorageReady) throw error;
+                    console.error('Setup did not finish, uploading anyway:', error);
                 });
-                
-                this.activityQueue.set(project, []);
             }
-            
-            // Execute updates with delay between them to avoid rate limiting
-            for (const update of updates) {
-                await this.githubApi.updateFile(
-                    this.REPO_NAME,
-                    update.file,
-                    update.content,
-                    update.message
-                );
-                await new Promise(resolve => setTimeout(resolve, 1000));
+
+            // All projects land in one atomic commit
+            await this.ensureAuthenticated();
+            await this.storage.append(shards, `Update activity logs with ${entryCount} entries`);
+
+            // Staged entries stay queued so they are still uploaded once the dry run is over
+            if (this.isDryRun) {
+                this.lastError = null;
+                if (this.needsPublishing) {
+                    await this.publishVisualizations();
+                }
+                return;
+            }
+
+            // Only drop entries from the durable queue once they are stored
+            for (const [project, activities] of queued) {
+                this.activityQueue.remove(project, activities);
+            }
+            this.activityQueue.recordSuccess();
+            this.lastError = null;
+
+            if (this.needsPublishing && Date.now() - this.lastPublishedAt >= this.publishInterval) {
+                await this.publishVisualizations().catch(error => {
+                    console.error('Failed to publish visualizations:', error);
+                });
             }
         } catch (error) {
-            console.error('Error processing activity queue:', error);
-        } finally {
-            this.isProcessingQueue = false;
+            const delay = this.activityQueue.recordFailure();
+            this.lastError = error;
+            console.error(`Error processing activity queue, retrying in ${Math.round(delay / 1000)}s:`, error);
+        }
+    }
+
+    dispose() {
+        this.stopQueueProcessor();
+        this.dryRun.dispose();
+        this.configurationListener.dispose();
+        this.stateEmitter.dispose();
+        this.activityEmitter.dispose();
+    }
+
+    // Copies the SVGs rendered in the private repository to the public location the profile README links to
+    async publishVisualizations() {
+        if (!this.storage.rendersVisualizations) {
+            await this.renderVisualizationsLocally();
+            return;
         }
+        if (!this.isPrivateMode) return;
+
+        const { repo, directory } = this.getPublishLocation();
+        const files = [];
+        for (const name of VISUALIZATION_FILES) {
+            const content = await this.githubApi.getFileContent(this.REPO_NAME, `visualizations/${name}`);
+            if (content) {
+                files.push({ path: `${directory}/${name}`, content });
+            }
+        }
+
+        this.lastPublishedAt = Date.now();
+        if (files.length === 0) return;
+
+        // commitFiles leaves out charts that are already published unchanged
+        console.log(`Publishing visualizations to ${repo}/${directory}`);
+        await this.githubApi.commitFiles(repo, files, 'Publish activity visualizations');
+    }
+
+    // Without a workflow next to the logs, render the charts from this machine's cached activity
+    async renderVisualizationsLocally() {
+        const charts = await renderCharts(this.loadLocalActivity(), {
+            palette: this.palette,
+            goals: this.goals
+        });
+        this.lastPublishedAt = Date.now();
+
+        console.log(`Rendering visualizations to ${this.storage.description}`);
+        await this.storage.commitFiles(
+            Object.entries(charts).map(([name, svg]) => ({ path: `visualizations/${name}`, content: svg })),
+            'Update visualizations'
+        );
+    }
+
+    async flush() {
+        this.activityQueue.resetBackoff();
+        try {
+            // Wait for an in-flight upload, then push whatever was queued meanwhile
+            await this.processActivityQueue();
+            await this.processActivityQueue();
+        } catch (error) {
+            console.error('Failed to flush activity queue:', error);
+        }
+        return this.activityQueue.pendingCount;
     }
 
     getWorkflowContent() {
@@ -470,12 +874,14 @@ jobs:
         run: node .github/scripts/visualization.js
         env:
           GITHUB_TOKEN: \${{ github.token }}
+          ACTIVITY_TRACKER_PALETTE: ${this.palette}
+          ACTIVITY_TRACKER_GOALS: '${JSON.stringify(this.goals)}'
 
       - name: Commit changes
         run: |
           git config --global user.name 'github-actions[bot]'
-          git config --global user.email 'github-actions[bot]@users.noreply.github.com'
-          git add visualizations/
+          git config --global user.email "github-actions[bot]@users.noreply.\${GITHUB_SERVER_URL#https://}"
+          git add -A projects/ visualizations/
           git commit -m "Update visualizations" || echo "No changes"
           git push`;
     }
@@ -487,7 +893,7 @@ getInitialReadme () {
 Automatically tracks and visualizes your coding activity across different projects.
 
 ## Structure
-- /projects - Contains activity logs for each project
+- /projects - Contains monthly activity logs for each project (\`<project>/<year>/<month>.jsonl\`)
 - /visualizations - Contains generated activity visualizations
 - /.github - Contains automation workflows and scripts
 
@@ -672,9 +1078,14 @@ Activity tracking will begin shortly after repository initialization.`;
 // `;
 // };
 getProfileScript() {
-    return `const fs = require('fs');
-const path = require('path');
-const https = require('https');
+    return `const https = require('https');
+const { renderProfileSection, applyProfileSection } = require('./profileReadme');
+
+const README_CHARTS = ${JSON.stringify(this.readmeCharts)};
+// Set by GitHub Actions, including on GitHub Enterprise Server
+const SERVER_URL = process.env.GITHUB_SERVER_URL || 'https://github.com';
+const API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+const README_POSITION = '${this.readmePosition}';
 
 async function updateProfile() {
     try {
@@ -691,27 +1102,22 @@ async function updateProfile() {
         const username = await getAuthenticatedUsername(process.env.GITHUB_TOKEN);
         console.log(\`Authenticated username: \${username}\`);
         
-        // Construct the correct URL for visualizations from the activity-tracker repo
-        const visualizationsUrl = \`https://raw.githubusercontent.com/\${username}/activity-tracker/main\`;
+        // Visualizations live in the repository this workflow runs in
+        const visualizationsUrl = SERVER_URL === 'https://github.com'
+            ? \`https://raw.githubusercontent.com/\${process.env.GITHUB_REPOSITORY}/main\`
+            : \`\${SERVER_URL}/\${process.env.GITHUB_REPOSITORY}/raw/main\`;
         console.log(\`Visualizations URL: \${visualizationsUrl}\`);
         
-        const content = [
-            '# Coding Activity Overview',
-            '',
-            '## Recent Coding Activity',
-            '',
-            '### Activity Heatmap',
-            \`![Activity Heatmap](\${visualizationsUrl}/visualizations/heatmap.svg)\`,
-            '',
-            '### Project Activity',
-            \`![Project Activity](\${visualizationsUrl}/visualizations/activity-chart.svg)\`,
-            '',
-            \`Last updated: \${new Date().toUTCString()}\`
-        ].join('\\n');
-        console.log('Generated README content');
-
-        // Update the profile README
+        // Only the marked activity section is replaced; the rest of the README is left as written
         const currentContent = await getRepoContent(username, username, 'README.md');
+        const currentReadme = currentContent ? Buffer.from(currentContent.content, 'base64').toString() : '';
+        const section = renderProfileSection(\`\${visualizationsUrl}/visualizations\`, README_CHARTS);
+        const content = applyProfileSection(currentReadme, section, README_POSITION);
+        if (content === currentReadme) {
+            console.log('Profile README is already up to date');
+            return;
+        }
+
         await updateRepoContent(
             username,
             username,
@@ -727,11 +1133,16 @@ async function updateProfile() {
     }
 }
 
+// https.request options for an API path, on whichever host the workflow runs against
+function apiOptions(apiPath) {
+    const url = new URL(API_URL.replace(/\\/$/, '') + apiPath);
+    return { hostname: url.hostname, port: url.port || undefined, path: url.pathname + url.search };
+}
+
 async function getAuthenticatedUsername(token) {
     return new Promise((resolve, reject) => {
         const options = {
-            hostname: 'api.github.com',
-            path: '/user',
+            ...apiOptions('/user'),
             headers: {
                 'User-Agent': 'Activity-Tracker',
                 'Authorization': \`Bearer \${token}\`,
@@ -757,8 +1168,7 @@ async function getAuthenticatedUsername(token) {
 async function getRepoContent(owner, repo, path) {
     return new Promise((resolve, reject) => {
         const options = {
-            hostname: 'api.github.com',
-            path: '/repos/' + owner + '/' + repo + '/contents/' + path,
+            ...apiOptions('/repos/' + owner + '/' + repo + '/contents/' + path),
             headers: {
                 'User-Agent': 'Activity-Tracker',
                 'Authorization': \`Bearer \${process.env.GITHUB_TOKEN}\`,
@@ -791,8 +1201,7 @@ async function updateRepoContent(owner, repo, path, message, content, sha = null
         });
 
         const options = {
-            hostname: 'api.github.com',
-            path: '/repos/' + owner + '/' + repo + '/contents/' + path,
+            ...apiOptions('/repos/' + owner + '/' + repo + '/contents/' + path),
             method: 'PUT',
             headers: {
                 'User-Agent': 'Activity-Tracker',
@@ -0,0 +1,116 @@
+const ActivityStorage = require('./activityStorage');
+const { createConflictError } = require('./activityStorage');
+
+// A repository on a Gitea or Forgejo server, written through its /api/v1 REST API.
+// Multi-file commits need Gitea 1.20+ or any Forgejo release
+class GiteaStorage extends ActivityStorage {
+    constructor(baseUrl, repository, getToken) {
+        super();
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        [this.owner, this.repo] = (repository || '').split('/');
+        this.getToken = getToken;
+    }
+
+    get description() {
+        return `${this.owner}/${this.repo} on ${this.baseUrl}`;
+    }
+
+    get stagingName() {
+        return `gitea/${this.owner}/${this.repo}`;
+    }
+
+    async request(method, apiPath, body) {
+        const token = await this.getToken();
+        const response = await fetch(`${this.baseUrl}/api/v1${apiPath}`, {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                ...(token ? { 'Authorization': `token ${token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            const error = new Error(`${method} ${apiPath} failed: ${response.status} ${await response.text()}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.status === 204 ? {} : response.json();
+    }
+
+    encodePath(filePath) {
+        return filePath.split('/').map(encodeURIComponent).join('/');
+    }
+
+    async setup() {
+        if (!this.baseUrl || !this.owner || !this.repo) {
+            throw new Error('Set activityTracker.storage.giteaUrl and activityTracker.storage.giteaRepository (owner/name)');
+        }
+
+        const existing = await this.request('GET', `/repos/${this.owner}/${this.repo}`);
+        if (existing) return;
+
+        console.log(`Creating repository ${this.description}...`);
+        const user = await this.request('GET', '/user');
+        const repoConfig = {
+            name: this.repo,
+            description: 'Automatically tracks and visualizes coding activity',
+            private: true,
+            auto_init: true
+        };
+        await this.request('POST', user && user.login === this.owner ? '/user/repos' : `/orgs/${this.owner}/repos`, repoConfig);
+    }
+
+    async getFile(filePath) {
+        const data = await this.request('GET', `/repos/${this.owner}/${this.repo}/contents/${this.encodePath(filePath)}`);
+        if (!data || Array.isArray(data)) return null;
+        return { sha: data.sha, content: Buffer.from(data.content || '', 'base64').toString() };
+    }
+
+    async readFile(filePath) {
+        const file = await this.getFile(filePath);
+        return file ? file.content : null;
+    }
+
+    async commitFiles(files, message) {
+        try {
+            const operations = [];
+            for (const file of files) {
+                const current = await this.getFile(file.path);
+                // The file's sha below makes the server reject writes racing this check
+                if (file.baseContent !== undefined && (current ? current.content : null) !== file.baseContent) {
+                    throw createConflictError(file.path);
+                }
+                if (file.content === null) {
+                    if (current) operations.push({ operation: 'delete', path: file.path, sha: current.sha });
+                } else if (!current) {
+                    operations.push({ operation: 'create', path: file.path, content: Buffer.from(file.content).toString('base64') });
+                } else if (!file.createOnly && current.content !== file.content) {
+                    operations.push({
+                        operation: 'update',
+                        path: file.path,
+                        sha: current.sha,
+                        content: Buffer.from(file.content).toString('base64')
+                    });
+                }
+            }
+
+            if (operations.length === 0) {
+                console.log(`All ${files.length} files are unchanged in ${this.description}`);
+                return null;
+            }
+
+            console.log(`Committing ${operations.length} files to ${this.description}`);
+            return await this.request('POST', `/repos/${this.owner}/${this.repo}/contents`, { message, files: operations });
+        } catch (error) {
+            console.error('Gitea commit error:', error);
+            const wrapped = new Error(`Failed to commit files: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
+        }
+    }
+}
+
+module.exports = GiteaStorage;
@@ -1,10 +1,101 @@
 const vscode = require('vscode');
+const crypto = require('crypto');
+const GithubRequestLayer = require('./githubRequestLayer');
+
+// The SHA git (and so GitHub) assigns to a file with this content, used to skip writes that change nothing
+function gitBlobSha(content) {
+    const buffer = Buffer.from(content);
+    return crypto
+        .createHash('sha1')
+        .update(`blob ${buffer.length}\0`)
+        .update(buffer)
+        .digest('hex');
+}
+
+function normalizeServerUrl(url) {
+    return (url || '').trim().replace(/\/+$/, '');
+}
 
 class GithubAPI {
-    constructor() {
+    constructor(options = {}) {
+        // Empty for github.com, otherwise the GitHub Enterprise Server address, e.g. https://github.example.com
+        this.enterpriseUrl = normalizeServerUrl(options.enterpriseUrl);
         this.octokit = null;
         this.username = null;
         this.Octokit = null;
+        this.defaultBranches = new Map();
+        this.repoOwner = null;
+        this.requestLayer = new GithubRequestLayer();
+        // During a dry run writes are staged on this DryRun, and repositories it would create are
+        // remembered here by name with their visibility so later reads treat them as existing
+        this.dryRun = null;
+        this.plannedRepos = new Map();
+        this.onDidChangeRateLimit = this.requestLayer.onDidChangeState;
+    }
+
+    // The profile repository always belongs to the user; others may live under a configured owner
+    ownerFor(repo) {
+        if (!this.repoOwner || repo === this.username) {
+            return this.username;
+        }
+        return this.repoOwner;
+    }
+
+    get isEnterprise() {
+        return Boolean(this.enterpriseUrl);
+    }
+
+    get apiBaseUrl() {
+        return this.isEnterprise ? `${this.enterpriseUrl}/api/v3` : 'https://api.github.com';
+    }
+
+    // A different server needs a new sign-in; the next setup or authenticate call picks it up
+    setEnterpriseUrl(url) {
+        const enterpriseUrl = normalizeServerUrl(url);
+        if (enterpriseUrl === this.enterpriseUrl) return;
+
+        this.enterpriseUrl = enterpriseUrl;
+        this.octokit = null;
+        this.username = null;
+        this.defaultBranches.clear();
+    }
+
+    setDryRun(dryRun) {
+        this.dryRun = dryRun;
+        this.requestLayer.dryRun = dryRun;
+        this.plannedRepos.clear();
+    }
+
+    // Folder a repository's files are staged under during a dry run, e.g. "octocat/activity-tracker"
+    getStagingTarget(repo) {
+        return `${this.ownerFor(repo)}/${repo}`;
+    }
+
+    async stageCommit(repo, files, message) {
+        const target = this.getStagingTarget(repo);
+        return this.dryRun.stageCommit(target, files, message, filePath => this.plannedRepos.has(repo)
+            ? null
+            : this.getFileContent(repo, filePath));
+    }
+
+    // Where a file's raw content is served; GHES serves it from the web host rather than a separate domain
+    getRawUrl(owner, repo, branch, filePath) {
+        if (this.isEnterprise) {
+            return `${this.enterpriseUrl}/${owner}/${repo}/raw/${branch}/${filePath}`;
+        }
+        return `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${filePath}`;
+    }
+
+    // VS Code's github-enterprise sign-in reads its server from the github-enterprise.uri setting
+    async ensureEnterpriseAuthProvider() {
+        const enterpriseConfig = vscode.workspace.getConfiguration('github-enterprise');
+        const configured = normalizeServerUrl(enterpriseConfig.get('uri'));
+        if (!configured) {
+            console.log(`Setting github-enterprise.uri to ${this.enterpriseUrl}`);
+            await enterpriseConfig.update('uri', this.enterpriseUrl, vscode.ConfigurationTarget.Global);
+        } else if (configured.toLowerCase() !== this.enterpriseUrl.toLowerCase()) {
+            throw new Error(`github-enterprise.uri is ${configured}, but activityTracker.github.enterpriseUrl is ${this.enterpriseUrl}; make them match`);
+        }
     }
 
     async initializeOctokit() {
@@ -18,8 +109,12 @@ class GithubAPI {
                 await this.initializeOctokit();
             }
 
+            if (this.isEnterprise) {
+                await this.ensureEnterpriseAuthProvider();
+            }
+
             // Get GitHub session with expanded scopes
-            const token = await vscode.authentication.getSession('github', [
+            const token = await vscode.authentication.getSession(this.isEnterprise ? 'github-enterprise' : 'github', [
                 'repo',
                 'workflow',
                 'admin:repo_hook',
@@ -27,18 +122,14 @@ class GithubAPI {
             ], { createIfNone: true });
 
             if (!token || !token.accessToken) {
-                throw new Error('Failed to obtain GitHub token. Please ensure you are logged in to GitHub in VS Code.');
+                throw new Error(`Failed to obtain a token for ${this.isEnterprise ? this.enterpriseUrl : 'GitHub'}. Please ensure you are logged in to it in VS Code.`);
             }
 
             console.log('Authentication token obtained successfully');
 
-            this.octokit = new this.Octokit({ 
-                auth: token.accessToken,
-                retry: {
-                    enabled: true,
-                    retries: 3
-                }
-            });
+ 
+            this.octokit = new this.Octokit({ auth: token.accessToken, baseUrl: this.apiBaseUrl });
+            this.requestLayer.install(this.octokit);
             
             const { data } = await this.octokit.users.getAuthenticated();
             this.username = data.login;
@@ -57,12 +148,19 @@ class GithubAPI {
     }
 
     async createRepo(name, options = {}) {
+        if (this.dryRun) {
+            const visibility = options.isProfile || options.visibility !== 'private' ? 'public' : 'private';
+            this.dryRun.log(`Would create ${visibility} repository ${this.getStagingTarget(name)}`);
+            this.plannedRepos.set(name, visibility);
+            return { data: { html_url: null, default_branch: 'main' } };
+        }
+
         try {
             console.log(`Creating repository: ${name}`);
             const repoConfig = {
                 name,
                 auto_init: true,
-                private: false,
+                private: options.visibility === 'private',
                 has_issues: true,
                 has_projects: true,
                 has_wiki: true
@@ -76,12 +174,13 @@ class GithubAPI {
                 repoConfig.description = options.description || 'Automatically tracks and visualizes coding activity';
             }
     
-            const response = await this.octokit.repos.createForAuthenticatedUser(repoConfig);
+            const owner = this.ownerFor(name);
+            const response = owner === this.username
+                ? await this.octokit.repos.createForAuthenticatedUser(repoConfig)
+                : await this.octokit.repos.createInOrg({ org: owner, ...repoConfig });
     
             console.log(`Repository created successfully: ${response.data.html_url}`);
-    
-            // Wait for repository creation to complete
-            await new Promise(resolve => setTimeout(resolve, 3000));
+            await this.waitForRepository(name);
     
             return response;
         } catch (error) {
@@ -93,10 +192,31 @@ class GithubAPI {
             throw new Error(`Failed to create repository: ${error.message}`);
         }
     }
+
+    // A new repository takes a moment before its initial commit can be read or built on
+    async waitForRepository(repo, attempts = 6) {
+        const owner = this.ownerFor(repo);
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            try {
+                const { data } = await this.octokit.repos.get({ owner, repo });
+                await this.octokit.git.getRef({ owner, repo, ref: `heads/${data.default_branch}` });
+                this.defaultBranches.set(repo, data.default_branch);
+                return;
+            } catch (error) {
+                if (error.status !== 404 && error.status !== 409) throw error;
+                const delay = 500 * 2 ** attempt;
+                console.log(`Repository ${repo} is not ready yet, checking again in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+        throw new Error(`Repository ${repo} was created but did not become ready`);
+    }
+
     async checkRepoExists(repo) {
+        if (this.plannedRepos.has(repo)) return true;
         try {
             await this.octokit.repos.get({
-                owner: this.username,
+                owner: this.ownerFor(repo),
                 repo
             });
             return true;
@@ -108,66 +228,167 @@ class GithubAPI {
         }
     }
 
-    async updateFile(repo, path, content, message = 'Update activity log') {
+    async getRepoVisibility(repo) {
+        if (this.plannedRepos.has(repo)) return this.plannedRepos.get(repo);
+        const { data } = await this.octokit.repos.get({
+            owner: this.ownerFor(repo),
+            repo
+        });
+        return data.visibility || (data.private ? 'private' : 'public');
+    }
+
+    async getDefaultBranch(repo) {
+        if (this.plannedRepos.has(repo)) return 'main';
+        if (!this.defaultBranches.has(repo)) {
+            const { data } = await this.octokit.repos.get({
+                owner: this.ownerFor(repo),
+                repo
+            });
+            this.defaultBranches.set(repo, data.default_branch);
+        }
+        return this.defaultBranches.get(repo);
+    }
+
+    // Blob SHAs of every file in a tree, or null when GitHub truncated the listing
+    async getTreeShas(repo, treeSha) {
+        const { data } = await this.octokit.git.getTree({
+            owner: this.ownerFor(repo),
+            repo,
+            tree_sha: treeSha,
+            recursive: 'true'
+        });
+        if (data.truncated) return null;
+
+        return new Map(data.tree
+            .filter(entry => entry.type === 'blob')
+            .map(entry => [entry.path, entry.sha]));
+    }
+
+    // Writes several files as a single commit using blobs, a tree, a commit and a ref update.
+    // Files whose content is already on the branch are left out; `content: null` deletes a file
+    // and `createOnly` files are never overwritten. Returns null when nothing needed to change.
+    async commitFiles(repo, files, message) {
+        if (this.dryRun) return this.stageCommit(repo, files, message);
+
         try {
-            console.log(`Updating file: ${repo}/${path}`);
+            const owner = this.ownerFor(repo);
+            const branch = await this.getDefaultBranch(repo);
+
+            const { data: ref } = await this.octokit.git.getRef({
+                owner,
+                repo,
+                ref: `heads/${branch}`
+            });
+            const parentSha = ref.object.sha;
+
+            const { data: parentCommit } = await this.octokit.git.getCommit({
+                owner,
+                repo,
+                commit_sha: parentSha
+            });
 
-            const repoExists = await this.checkRepoExists(repo);
-            if (!repoExists) {
-                throw new Error(`Repository ${repo} does not exist`);
+            const existing = await this.getTreeShas(repo, parentCommit.tree.sha);
+            // Another writer changed a file since it was read; the caller re-reads and merges
+            const stale = existing && files.find(file => file.baseContent !== undefined
+                && existing.get(file.path) !== (file.baseContent === null ? undefined : gitBlobSha(file.baseContent)));
+            if (stale) {
+                const conflict = new Error(`${stale.path} changed since it was read`);
+                conflict.status = 409;
+                throw conflict;
             }
 
-            let sha;
-            try {
-                const fileResponse = await this.octokit.repos.getContent({
-                    owner: this.username,
-                    repo,
-                    path
-                });
+            const changedFiles = files.filter(file => {
+                // Without a full listing, write everything and skip deletions that might not apply
+                if (!existing) return file.content !== null;
+                if (file.content === null) return existing.has(file.path);
+                if (file.createOnly) return !existing.has(file.path);
+                return existing.get(file.path) !== gitBlobSha(file.content);
+            });
+            if (changedFiles.length === 0) {
+                console.log(`All ${files.length} files are unchanged in ${repo}, skipping commit`);
+                return null;
+            }
+            console.log(`Committing ${changedFiles.length} of ${files.length} files to ${repo}`);
 
-                if (!Array.isArray(fileResponse.data)) {
-                    sha = fileResponse.data.sha;
-                    console.log(`Existing file found with SHA: ${sha}`);
+            const tree = [];
+            for (const file of changedFiles) {
+                if (file.content === null) {
+                    tree.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+                    continue;
                 }
-            } catch (error) {
-                if (error.status !== 404) {
-                    throw error;
-                }
-                console.log('No existing file found - creating new file');
+
+                const { data: blob } = await this.octokit.git.createBlob({
+                    owner,
+                    repo,
+                    content: Buffer.from(file.content).toString('base64'),
+                    encoding: 'base64'
+                });
+                tree.push({
+                    path: file.path,
+                    mode: '100644',
+                    type: 'blob',
+                    sha: blob.sha
+                });
             }
 
-            const updateResponse = await this.octokit.repos.createOrUpdateFileContents({
-                owner: this.username,
+            const { data: newTree } = await this.octokit.git.createTree({
+                owner,
+                repo,
+                base_tree: parentCommit.tree.sha,
+                tree
+            });
+
+            const { data: commit } = await this.octokit.git.createCommit({
+                owner,
                 repo,
-                path,
                 message,
-                content: Buffer.from(content).toString('base64'),
-                sha
+                tree: newTree.sha,
+                parents: [parentSha]
             });
 
-            console.log(`File ${path} updated successfully`);
-            return updateResponse;
+            await this.octokit.git.updateRef({
+                owner,
+                repo,
+                ref: `heads/${branch}`,
+                sha: commit.sha
+            });
+
+            console.log(`Commit ${commit.sha} created on ${repo}/${branch}`);
+            return commit;
         } catch (error) {
-            console.error('File update error:', {
+            console.error('Commit error:', {
                 message: error.message,
                 status: error.status,
                 response: error.response?.data,
                 repo,
-                path
+                paths: files.map(file => file.path)
             });
-            throw new Error(`Failed to update file: ${error.message}`);
+            // Keep the status so a 409 (or 422 for a branch that moved on) can be retried by the caller
+            const wrapped = new Error(`Failed to commit files: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
         }
     }
 
     async getFileContent(repo, path) {
+        if (this.dryRun) {
+            const staged = this.dryRun.readStaged(this.getStagingTarget(repo), path);
+            if (staged !== undefined) return staged;
+            if (this.plannedRepos.has(repo)) return null;
+        }
+
         try {
             const response = await this.octokit.repos.getContent({
-                owner: this.username,
+                owner: this.ownerFor(repo),
                 repo,
                 path
             });
 
             if (!Array.isArray(response.data) && response.data.type === 'file') {
+                // Files over 1 MB come back without content (encoding "none"); the blob API has all of it
+                if (response.data.encoding === 'none' || (!response.data.content && response.data.size > 0)) {
+                    return this.getBlobContent(repo, response.data.sha);
+                }
                 const content = Buffer.from(response.data.content, 'base64').toString();
                 return content;
             }
@@ -179,6 +400,23 @@ class GithubAPI {
             throw error;
         }
     }
+
+    async getBlobContent(repo, sha) {
+        const { data } = await this.octokit.git.getBlob({
+            owner: this.ownerFor(repo),
+            repo,
+            file_sha: sha
+        });
+        if (data.encoding !== 'base64' || (!data.content && data.size > 0)) {
+            throw new Error(`Could not read blob ${sha} in ${repo} (encoding ${data.encoding}, ${data.size} bytes)`);
+        }
+        return Buffer.from(data.content, 'base64').toString();
+    }
+
+    dispose() {
+        this.requestLayer.dispose();
+    }
 }
 
-module.exports = GithubAPI;
\ No newline at end of file
+module.exports = GithubAPI;
+module.exports.gitBlobSha = gitBlobSha;
\ No newline at end of file
@@ -0,0 +1,213 @@
+const vscode = require('vscode');
+
+const MAX_CACHED_RESPONSES = 500;
+// Cached bodies stay in memory, so large ones (file contents, blobs) are fetched again instead
+const MAX_CACHED_BODY_BYTES = 256 * 1024;
+const MAX_CACHE_BYTES = 16 * 1024 * 1024;
+const MAX_RETRIES = 3;
+// Waits longer than this fail the request instead, so the upload queue's backoff takes over
+const MAX_WAIT_MS = 2 * 60 * 1000;
+// GitHub asks integrations to leave at least a second between writes to avoid secondary limits
+const WRITE_SPACING_MS = 1000;
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getResponseSize(response) {
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    if (!isNaN(contentLength)) return contentLength;
+    return Buffer.byteLength(JSON.stringify(response.data ?? ''));
+}
+
+// Sits between Octokit and the network: tracks the rate-limit budget, waits out 403/429 limits,
+// spaces writes and revalidates GETs with ETags so unchanged reads do not count against the budget
+class GithubRequestLayer {
+    constructor() {
+        this.rateLimit = { limit: null, remaining: null, resetAt: null };
+        this.throttledUntil = 0;
+        this.lastWriteAt = 0;
+        this.writeChain = Promise.resolve();
+        this.cache = new Map();
+        this.cacheBytes = 0;
+        // Set during a dry run: writes are logged to it and never sent
+        this.dryRun = null;
+        this.stateEmitter = new vscode.EventEmitter();
+        this.onDidChangeState = this.stateEmitter.event;
+    }
+
+    install(octokit) {
+        this.endpoint = octokit.request.endpoint;
+        octokit.hook.wrap('request', (request, options) => this.request(request, options));
+    }
+
+    get isThrottled() {
+        return this.throttledUntil > Date.now();
+    }
+
+    getState() {
+        return {
+            ...this.rateLimit,
+            throttled: this.isThrottled,
+            throttledUntil: this.isThrottled ? this.throttledUntil : null
+        };
+    }
+
+    async request(request, options) {
+        const method = (options.method || 'GET').toUpperCase();
+        if (method === 'GET') {
+            return this.send(request, options);
+        }
+        if (this.dryRun) {
+            return this.planWrite(method, options);
+        }
+
+        // Writes go out one at a time, spaced apart
+        const write = this.writeChain.then(async () => {
+            const wait = this.lastWriteAt + WRITE_SPACING_MS - Date.now();
+            if (wait > 0) await sleep(wait);
+            try {
+                return await this.send(request, options);
+            } finally {
+                this.lastWriteAt = Date.now();
+            }
+        });
+        this.writeChain = write.catch(() => {});
+        return write;
+    }
+
+    // A stand-in response for a write a dry run skipped; callers that reach here ignore the body
+    planWrite(method, options) {
+        const { url, body } = this.endpoint.parse(options);
+        this.dryRun.log(`Would send ${method} ${url}${body ? ` ${JSON.stringify(body)}` : ''}`);
+        return { status: 200, url, headers: {}, data: {} };
+    }
+
+    async send(request, options) {
+        const { method, url } = this.endpoint.parse(options);
+        const cacheKey = method === 'GET' ? url : null;
+        const cached = cacheKey ? this.cache.get(cacheKey) : null;
+        if (cached) {
+            // Inner hooks are bound to this options object, so the header has to be set on it
+            options.headers['if-none-match'] = cached.etag;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForBudget();
+
+            try {
+                const response = await request(options);
+                this.recordRateLimit(response.headers);
+                this.clearThrottle();
+                if (cacheKey && response.headers.etag) {
+                    this.remember(cacheKey, response);
+                }
+                return response;
+            } catch (error) {
+                const headers = error.response?.headers || {};
+                this.recordRateLimit(headers);
+
+                // Not modified: GitHub does not count these against the rate limit
+                if (error.status === 304 && cached) {
+                    this.clearThrottle();
+                    this.remember(cacheKey, cached.response, cached.size);
+                    return cached.response;
+                }
+
+                const wait = this.getRateLimitWait(error, headers, attempt);
+                if (wait === null || attempt >= MAX_RETRIES) throw error;
+                if (wait > MAX_WAIT_MS) {
+                    this.throttle(Date.now() + wait);
+                    throw new Error(`GitHub rate limit reached, try again after ${new Date(this.throttledUntil).toLocaleTimeString()}`);
+                }
+
+                console.log(`GitHub rate limit hit on ${method} ${url}, retrying in ${Math.round(wait / 1000)}s`);
+                this.throttle(Date.now() + wait);
+            }
+        }
+    }
+
+    // How long to wait before retrying, or null if the error is not a rate limit
+    getRateLimitWait(error, headers, attempt) {
+        if (error.status !== 403 && error.status !== 429) return null;
+
+        const retryAfter = parseInt(headers['retry-after'], 10);
+        if (!isNaN(retryAfter)) {
+            return retryAfter * 1000;
+        }
+        if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            return Math.max(0, parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now()) + 1000;
+        }
+        // Secondary limits come without reset headers; GitHub asks for at least a minute, growing on repeats
+        if (error.status === 429 || /secondary rate limit|abuse/i.test(error.message)) {
+            return SECONDARY_LIMIT_WAIT_MS * 2 ** attempt;
+        }
+        return null;
+    }
+
+    async waitForBudget() {
+        let until = this.throttledUntil;
+        if (this.rateLimit.remaining === 0 && this.rateLimit.resetAt > Date.now()) {
+            until = Math.max(until, this.rateLimit.resetAt);
+        }
+
+        const wait = until - Date.now();
+        if (wait <= 0) return;
+        if (wait > MAX_WAIT_MS) {
+            throw new Error(`GitHub rate limit reached, try again after ${new Date(until).toLocaleTimeString()}`);
+        }
+        this.throttle(until);
+        await sleep(wait);
+    }
+
+    recordRateLimit(headers) {
+        if (headers['x-ratelimit-remaining'] === undefined) return;
+        // Only the core budget gates REST calls; search and GraphQL have their own
+        if (headers['x-ratelimit-resource'] && headers['x-ratelimit-resource'] !== 'core') return;
+
+        this.rateLimit = {
+            limit: parseInt(headers['x-ratelimit-limit'], 10),
+            remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+            resetAt: parseInt(headers['x-ratelimit-reset'], 10) * 1000
+        };
+        this.stateEmitter.fire(this.getState());
+    }
+
+    throttle(until) {
+        if (until <= this.throttledUntil) return;
+        this.throttledUntil = until;
+        this.stateEmitter.fire(this.getState());
+    }
+
+    clearThrottle() {
+        if (this.throttledUntil === 0) return;
+        this.throttledUntil = 0;
+        this.stateEmitter.fire(this.getState());
+    }
+
+    // Least recently used responses are dropped first, by count and by total size
+    remember(cacheKey, response, size = getResponseSize(response)) {
+        this.forget(cacheKey);
+        if (size > MAX_CACHED_BODY_BYTES) return;
+
+        this.cache.set(cacheKey, { etag: response.headers.etag, response, size });
+        this.cacheBytes += size;
+        while (this.cache.size > MAX_CACHED_RESPONSES || this.cacheBytes > MAX_CACHE_BYTES) {
+            this.forget(this.cache.keys().next().value);
+        }
+    }
+
+    forget(cacheKey) {
+        const entry = this.cache.get(cacheKey);
+        if (!entry) return;
+        this.cache.delete(cacheKey);
+        this.cacheBytes -= entry.size;
+    }
+
+    dispose() {
+        this.stateEmitter.dispose();
+        this.cache.clear();
+        this.cacheBytes = 0;
+    }
+}
+
+module.exports = GithubRequestLayer;
@@ -0,0 +1,37 @@
+const ActivityStorage = require('./activityStorage');
+
+// The activity repository on GitHub; GitManager's setup creates it and installs the workflow
+class GithubStorage extends ActivityStorage {
+    constructor(githubApi, repo) {
+        super();
+        this.githubApi = githubApi;
+        this.repo = repo;
+    }
+
+    get description() {
+        return `${this.githubApi.ownerFor(this.repo)}/${this.repo} on GitHub`;
+    }
+
+    // Matches the target GithubAPI stages its own dry-run writes under
+    get stagingName() {
+        return `${this.githubApi.ownerFor(this.repo)}/${this.repo}`;
+    }
+
+    get requiresGithub() {
+        return true;
+    }
+
+    get rendersVisualizations() {
+        return true;
+    }
+
+    async readFile(filePath) {
+        return this.githubApi.getFileContent(this.repo, filePath);
+    }
+
+    async commitFiles(files, message) {
+        return this.githubApi.commitFiles(this.repo, files, message);
+    }
+}
+
+module.exports = GithubStorage;
@@ -0,0 +1,107 @@
+const vscode = require('vscode');
+const { addToDailyTotals, computeStreaksFromTotals } = require('./visualization');
+const { getConfiguration, onDidChangeConfiguration } = require('./config');
+
+const NOTIFIED_STATE_KEY = 'activityTracker.goalNotifications';
+const REMINDER_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+class GoalTracker {
+    constructor(gitManager, globalState) {
+        this.gitManager = gitManager;
+        this.globalState = globalState;
+        this.stats = null;
+        // Minutes and saves per local day. The cached shards are read once; entries this window
+        // logs afterwards are added as they come, those of other windows show up after a reload
+        this.dailyTotals = null;
+        this.stateEmitter = new vscode.EventEmitter();
+        this.onDidChangeState = this.stateEmitter.event;
+
+        this.applyConfiguration(getConfiguration());
+        this.configurationListener = onDidChangeConfiguration(config => {
+            this.applyConfiguration(config);
+            this.refresh();
+        });
+        this.activityListener = gitManager.onDidLogActivity(entry => {
+            if (this.dailyTotals) addToDailyTotals(this.dailyTotals, entry);
+            this.refresh();
+        });
+
+        // Reminders and the day rollover depend on the clock, not on new activity
+        this.reminderInterval = setInterval(() => this.refresh(), REMINDER_CHECK_INTERVAL_MS);
+        this.refresh();
+    }
+
+    applyConfiguration(config) {
+        this.goals = config.goals;
+    }
+
+    refresh() {
+        try {
+            if (!this.dailyTotals) {
+                this.dailyTotals = this.gitManager.loadLocalActivity().reduce(addToDailyTotals, new Map());
+            }
+            this.stats = computeStreaksFromTotals(this.dailyTotals, this.goals, {
+                timezoneOffset: new Date().getTimezoneOffset()
+            });
+            this.stateEmitter.fire();
+            this.checkNotifications(this.stats);
+        } catch (error) {
+            console.error('Failed to compute streaks:', error);
+        }
+    }
+
+    getStats() {
+        return this.stats;
+    }
+
+    // Each notification is shown at most once per local day (or week, for the weekly goal)
+    hasNotified(kind, dayKey) {
+        const notified = this.globalState.get(NOTIFIED_STATE_KEY, {});
+        return notified[kind] === dayKey;
+    }
+
+    markNotified(kind, dayKey) {
+        const notified = this.globalState.get(NOTIFIED_STATE_KEY, {});
+        this.globalState.update(NOTIFIED_STATE_KEY, { ...notified, [kind]: dayKey });
+    }
+
+    checkNotifications(stats) {
+        const now = new Date();
+        const dayKey = `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}`;
+
+        if (stats.daily?.met && !this.hasNotified('daily', dayKey)) {
+            this.markNotified('daily', dayKey);
+            vscode.window.showInformationMessage(
+                `Daily goal reached: ${stats.daily.value} ${stats.unit} today. Streak: ${stats.currentStreak} days.`
+            );
+        }
+
+        const weekKey = this.getWeekKey(now);
+        if (stats.weekly?.met && !this.hasNotified('weekly', weekKey)) {
+            this.markNotified('weekly', weekKey);
+            vscode.window.showInformationMessage(`Weekly goal reached: ${stats.weekly.value} ${stats.unit} this week.`);
+        }
+
+        if (stats.streakAtRisk && now.getHours() >= this.goals.reminderHour && !this.hasNotified('reminder', dayKey)) {
+            this.markNotified('reminder', dayKey);
+            vscode.window.showInformationMessage(
+                `Your ${stats.currentStreak}-day coding streak ends at midnight. Save a file to keep it going.`
+            );
+        }
+    }
+
+    getWeekKey(date) {
+        const sunday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+        return `${sunday.getFullYear()}-${sunday.getMonth() + 1}-${sunday.getDate()}`;
+    }
+
+    dispose() {
+        clearInterval(this.reminderInterval);
+        this.configurationListener.dispose();
+        this.activityListener.dispose();
+        this.stateEmitter.dispose();
+        this.gitManager = null;
+    }
+}
+
+module.exports = GoalTracker;
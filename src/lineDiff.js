@@ -0,0 +1,158 @@
+// Line-level diff based on Myers' O(ND) algorithm
+
+function splitLines(content) {
+    if (!content) return [];
+    const lines = content.split(/\r?\n/);
+    // A trailing newline does not start another line
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+// Returns the V array snapshots needed to backtrack, or null if the edit distance exceeds maxEditDistance
+function shortestEdit(a, b, maxEditDistance) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(max, maxEditDistance); d++) {
+        // Only keep the diagonals reachable at this depth
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                return trace;
+            }
+        }
+    }
+    return null;
+}
+
+// Walks the trace back from (n, m) and returns edit operations in order
+function backtrack(trace, n, m) {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const at = k => v[k + d + 1];
+        const k = x - y;
+
+        let prevK;
+        if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+            prevK = k + 1;
+        } else {
+            prevK = k - 1;
+        }
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push('equal');
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            ops.push(x === prevX ? 'insert' : 'delete');
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return ops.reverse();
+}
+
+function buildHunks(ops, oldStart, newStart) {
+    const hunks = [];
+    let oldLine = oldStart;
+    let newLine = newStart;
+    let hunk = null;
+
+    for (const op of ops) {
+        if (op === 'equal') {
+            hunk = null;
+            oldLine++;
+            newLine++;
+            continue;
+        }
+        if (!hunk) {
+            hunk = { oldStart: oldLine + 1, oldLines: 0, newStart: newLine + 1, newLines: 0 };
+            hunks.push(hunk);
+        }
+        if (op === 'delete') {
+            hunk.oldLines++;
+            oldLine++;
+        } else {
+            hunk.newLines++;
+            newLine++;
+        }
+    }
+    return hunks;
+}
+
+function diffLines(oldContent, newContent, options = {}) {
+    const maxEditDistance = options.maxEditDistance || 2000;
+    const oldLines = splitLines(oldContent);
+    const newLines = splitLines(newContent);
+
+    // Trim the common prefix and suffix so typical edits only diff a few lines
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+
+    let hunks;
+    const trace = a.length > 0 && b.length > 0 ? shortestEdit(a, b, maxEditDistance) : null;
+    if (trace) {
+        hunks = buildHunks(backtrack(trace, a.length, b.length), start, start);
+    } else if (a.length > 0 || b.length > 0) {
+        // Pure insertions/deletions, or too many edits to diff precisely: report one hunk
+        hunks = [{ oldStart: start + 1, oldLines: a.length, newStart: start + 1, newLines: b.length }];
+    } else {
+        hunks = [];
+    }
+
+    // Within a hunk, replaced lines count as modified and the remainder as added or removed
+    let addedLines = 0;
+    let removedLines = 0;
+    let modifiedLines = 0;
+    for (const hunk of hunks) {
+        const modified = Math.min(hunk.oldLines, hunk.newLines);
+        modifiedLines += modified;
+        addedLines += hunk.newLines - modified;
+        removedLines += hunk.oldLines - modified;
+    }
+
+    return {
+        addedLines,
+        removedLines,
+        modifiedLines,
+        totalLines: newLines.length,
+        hunks
+    };
+}
+
+module.exports = { diffLines, splitLines };
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const ActivityStorage = require('./activityStorage');
+const { createConflictError } = require('./activityStorage');
+const { mergeShardLines } = require('./visualization');
+
+const execFileAsync = promisify(execFile);
+
+// A plain folder on disk. When the folder is a git repository, every write is also committed
+class LocalFolderStorage extends ActivityStorage {
+    constructor(rootPath, options = {}) {
+        super();
+        this.rootPath = rootPath;
+        this.gitPath = options.gitPath || 'git';
+    }
+
+    get description() {
+        return this.isGitRepository() ? `git repository ${this.rootPath}` : `folder ${this.rootPath}`;
+    }
+
+    get stagingName() {
+        return 'local';
+    }
+
+    isGitRepository() {
+        return Boolean(this.rootPath) && fs.existsSync(path.join(this.rootPath, '.git'));
+    }
+
+    async setup() {
+        fs.mkdirSync(this.resolve('.'), { recursive: true });
+    }
+
+    // Every read and write goes through here, so an empty path never falls back to the working directory
+    resolve(filePath) {
+        if (!this.rootPath) {
+            throw new Error('No folder configured; set activityTracker.storage.localPath');
+        }
+        const resolved = path.resolve(this.rootPath, filePath);
+        const relative = path.relative(this.rootPath, resolved);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(`Path ${filePath} is outside ${this.rootPath}`);
+        }
+        return resolved;
+    }
+
+    async readFile(filePath) {
+        const fullPath = this.resolve(filePath);
+        return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+    }
+
+    async commitFiles(files, message) {
+        try {
+            const changed = [];
+            for (const file of files) {
+                const fullPath = this.resolve(file.path);
+                const exists = fs.existsSync(fullPath);
+                if (file.baseContent !== undefined && (exists ? fs.readFileSync(fullPath, 'utf8') : null) !== file.baseContent) {
+                    throw createConflictError(file.path);
+                }
+
+                if (file.content === null) {
+                    if (!exists) continue;
+                    fs.unlinkSync(fullPath);
+                } else {
+                    if (exists && (file.createOnly || fs.readFileSync(fullPath, 'utf8') === file.content)) continue;
+                    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+                    // Write-then-rename so a crash never leaves half a log behind
+                    const tmpPath = `${fullPath}.tmp`;
+                    fs.writeFileSync(tmpPath, file.content);
+                    fs.renameSync(tmpPath, fullPath);
+                }
+                changed.push(file.path);
+            }
+
+            if (changed.length === 0) {
+                console.log(`All ${files.length} files are unchanged in ${this.rootPath}`);
+                return null;
+            }
+            console.log(`Wrote ${changed.length} files to ${this.rootPath}`);
+            await this.gitCommit(changed, message);
+            return changed;
+        } catch (error) {
+            console.error('Local storage write error:', error);
+            const wrapped = new Error(`Failed to write to ${this.rootPath}: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
+        }
+    }
+
+    // Appending in place keeps large monthly logs from being rewritten on every flush, and appends
+    // from other windows sharing the folder land whole, so only entries already stored are skipped
+    async append(appends, message) {
+        try {
+            const changed = [];
+            for (const [filePath, lines] of appends) {
+                const fullPath = this.resolve(filePath);
+                fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+                const existingContent = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '';
+                const content = mergeShardLines(existingContent, lines);
+                if (content === existingContent) continue;
+                fs.appendFileSync(fullPath, content.slice(existingContent.length));
+                changed.push(filePath);
+            }
+            if (changed.length === 0) {
+                console.log(`All entries are already stored in ${this.rootPath}`);
+                return;
+            }
+            await this.gitCommit(changed, message);
+        } catch (error) {
+            console.error('Local storage append error:', error);
+            throw new Error(`Failed to append to ${this.rootPath}: ${error.message}`);
+        }
+    }
+
+    async gitCommit(paths, message) {
+        if (!this.isGitRepository()) return;
+
+        const git = args => execFileAsync(this.gitPath, args, { cwd: this.rootPath });
+        await git(['add', '-A', '--', ...paths]);
+        // Nothing staged (for example, identical content) is not an error
+        const { stdout } = await git(['diff', '--cached', '--name-only', '--', ...paths]);
+        if (!stdout.trim()) return;
+        await git(['commit', '-m', message, '--', ...paths]);
+    }
+}
+
+module.exports = LocalFolderStorage;
@@ -0,0 +1,86 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+const DEFAULT_EXCLUDE_GLOBS = [
+    '**/.env',
+    '**/.env.*',
+    '**/*.pem',
+    '**/*.key',
+    '**/id_rsa*',
+    '**/.npmrc',
+    '**/secrets/**'
+];
+
+const REDACTION_MODES = ['relative', 'basename', 'hashed'];
+
+class PrivacyFilter {
+    constructor(options = {}) {
+        this.excludeGlobs = options.excludeGlobs || DEFAULT_EXCLUDE_GLOBS;
+        this.projectAllowlist = options.projectAllowlist || [];
+        this.projectDenylist = options.projectDenylist || [];
+        this.pathRedaction = REDACTION_MODES.includes(options.pathRedaction) ? options.pathRedaction : 'relative';
+    }
+
+    // Path relative to the workspace folder, or null for files outside any workspace
+    getRelativePath(uri) {
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!workspaceFolder) return null;
+        return path.relative(workspaceFolder.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+    }
+
+    isProjectAllowed(project) {
+        if (this.projectDenylist.includes(project)) return false;
+        return this.projectAllowlist.length === 0 || this.projectAllowlist.includes(project);
+    }
+
+    isExcluded(uri) {
+        const candidates = [uri.fsPath.split(path.sep).join('/')];
+        const relativePath = this.getRelativePath(uri);
+        if (relativePath) candidates.push(relativePath);
+
+        return this.excludeGlobs.some(glob =>
+            candidates.some(candidate => minimatch(candidate, glob, { dot: true }))
+        );
+    }
+
+    shouldTrack(uri, project) {
+        return this.isProjectAllowed(project) && !this.isExcluded(uri);
+    }
+
+    // Never returns an absolute path: files outside a workspace fall back to their basename
+    redactPath(uri) {
+        const relativePath = this.getRelativePath(uri) || path.basename(uri.fsPath);
+
+        switch (this.pathRedaction) {
+            case 'basename':
+                return path.basename(uri.fsPath);
+            case 'hashed': {
+                // Keep the extension so language stats still work
+                const hash = crypto.createHash('sha256').update(relativePath).digest('hex').slice(0, 16);
+                return `${hash}${path.extname(uri.fsPath)}`;
+            }
+            default:
+                return relativePath;
+        }
+    }
+
+    // Branch names can name clients or tickets as much as paths do, so they follow the same mode
+    redactBranch(branch) {
+        if (!branch) return null;
+
+        switch (this.pathRedaction) {
+            case 'basename':
+                return null;
+            case 'hashed':
+                return crypto.createHash('sha256').update(branch).digest('hex').slice(0, 16);
+            default:
+                return branch;
+        }
+    }
+}
+
+module.exports = PrivacyFilter;
+module.exports.DEFAULT_EXCLUDE_GLOBS = DEFAULT_EXCLUDE_GLOBS;
+module.exports.REDACTION_MODES = REDACTION_MODES;
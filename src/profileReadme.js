@@ -0,0 +1,74 @@
+// Shared by the extension and .github/scripts/update-profile.js, so it only depends on visualization.js
+const { getChartFileName, CHART_TITLES } = require('./visualization');
+
+const README_START_MARKER = '<!-- activity-tracker:start -->';
+const README_END_MARKER = '<!-- activity-tracker:end -->';
+const README_POSITIONS = ['top', 'after-heading', 'bottom'];
+const README_BACKUP_PATH = '.github/README.backup.md';
+
+// Lets GitHub pick the light or dark variant based on the viewer's color scheme
+function getChartMarkup(visualizationsUrl, chart, alt) {
+    return `<picture>
+  <source media="(prefers-color-scheme: dark)" srcset="${visualizationsUrl}/${getChartFileName(chart, 'dark')}">
+  <img alt="${alt}" src="${visualizationsUrl}/${getChartFileName(chart, 'light')}">
+</picture>`;
+}
+
+function renderProfileSection(visualizationsUrl, charts) {
+    const chartSections = charts
+        .map(chart => `### ${CHART_TITLES[chart]}\n${getChartMarkup(visualizationsUrl, chart, CHART_TITLES[chart])}`)
+        .join('\n\n');
+    return `## Coding Activity\n\n${chartSections}`;
+}
+
+function hasProfileSection(readme) {
+    return Boolean(readme) && readme.includes(README_START_MARKER) && readme.includes(README_END_MARKER);
+}
+
+// Puts the section between the markers, or inserts it at `position` if the README has none yet.
+// Everything outside the markers is returned byte for byte
+function applyProfileSection(readme, section, position = 'bottom') {
+    const block = `${README_START_MARKER}\n${section}\n${README_END_MARKER}`;
+    const content = readme || '';
+    const start = content.indexOf(README_START_MARKER);
+    const end = content.indexOf(README_END_MARKER);
+
+    if (start !== -1 || end !== -1) {
+        // A half-deleted section is left for the user to fix rather than guessed at
+        if (start === -1 || end === -1 || end < start) {
+            throw new Error(`README has an incomplete activity section; keep both ${README_START_MARKER} and ${README_END_MARKER} or remove both`);
+        }
+        return content.slice(0, start) + block + content.slice(end + README_END_MARKER.length);
+    }
+
+    if (!content.trim()) {
+        return `${block}\n`;
+    }
+
+    if (position === 'top') {
+        return `${block}\n\n${content}`;
+    }
+
+    if (position === 'after-heading') {
+        const heading = /^#{1,6}\s.*$/m.exec(content);
+        if (heading) {
+            const insertAt = heading.index + heading[0].length;
+            const rest = content.slice(insertAt).replace(/^\n+/, '');
+            return `${content.slice(0, insertAt)}\n\n${block}\n${rest ? `\n${rest}` : ''}`;
+        }
+    }
+
+    const separator = content.endsWith('\n') ? '\n' : '\n\n';
+    return `${content}${separator}${block}\n`;
+}
+
+module.exports = {
+    getChartMarkup,
+    renderProfileSection,
+    hasProfileSection,
+    applyProfileSection,
+    README_START_MARKER,
+    README_END_MARKER,
+    README_POSITIONS,
+    README_BACKUP_PATH
+};
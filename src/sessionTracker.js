@@ -0,0 +1,116 @@
+const vscode = require('vscode');
+
+class SessionTracker {
+    constructor(onSession, options = {}) {
+        this.onSession = onSession;
+        this.idleTimeout = options.idleTimeout || 5 * 60 * 1000;
+        this.minSessionDuration = options.minSessionDuration || 1000;
+        this.currentSession = null;
+        this.idleTimer = null;
+        this.disposables = [];
+    }
+
+    start() {
+        if (this.disposables.length > 0) return;
+
+        this.disposables.push(
+            vscode.workspace.onDidChangeTextDocument(event => {
+                if (event.contentChanges.length > 0) {
+                    this.recordActivity(event.document);
+                }
+            }),
+            vscode.window.onDidChangeActiveTextEditor(editor => {
+                if (editor) this.recordActivity(editor.document);
+            }),
+            vscode.window.onDidChangeTextEditorSelection(event => {
+                this.recordActivity(event.textEditor.document);
+            }),
+            vscode.window.onDidChangeWindowState(state => {
+                if (state.focused && vscode.window.activeTextEditor) {
+                    this.recordActivity(vscode.window.activeTextEditor.document);
+                } else if (!state.focused) {
+                    this.endSession(Date.now());
+                }
+            })
+        );
+
+        if (vscode.window.state.focused && vscode.window.activeTextEditor) {
+            this.recordActivity(vscode.window.activeTextEditor.document);
+        }
+    }
+
+    stop() {
+        this.endSession(Date.now());
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+
+    recordActivity(document) {
+        // Ignore output channels, settings editors and other virtual documents
+        if (!document || document.uri.scheme !== 'file') return;
+
+        const now = Date.now();
+        const session = this.currentSession;
+
+        if (session && now - session.lastActivity > this.idleTimeout) {
+            // Idle gap: the previous session ended at its last sign of activity
+            this.endSession(session.lastActivity);
+        } else if (session && session.fileName !== document.fileName) {
+            // Switching files hands the time over without a gap
+            this.endSession(now);
+        }
+
+        if (!this.currentSession) {
+            this.currentSession = {
+                fileName: document.fileName,
+                uri: document.uri,
+                language: document.languageId,
+                start: now,
+                lastActivity: now
+            };
+        } else {
+            this.currentSession.lastActivity = now;
+        }
+
+        this.resetIdleTimer();
+    }
+
+    resetIdleTimer() {
+        if (this.idleTimer) clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            if (this.currentSession) {
+                this.endSession(this.currentSession.lastActivity);
+            }
+        }, this.idleTimeout);
+    }
+
+    endSession(endTime) {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+
+        const session = this.currentSession;
+        if (!session) return;
+        this.currentSession = null;
+
+        const duration = endTime - session.start;
+        if (duration < this.minSessionDuration) return;
+
+        Promise.resolve(this.onSession({
+            fileName: session.fileName,
+            uri: session.uri,
+            language: session.language,
+            start: new Date(session.start).toISOString(),
+            end: new Date(endTime).toISOString(),
+            durationMs: duration
+        })).catch(error => console.error('Failed to log coding session:', error));
+    }
+
+    dispose() {
+        this.stop();
+        this.onSession = null;
+    }
+}
+
+module.exports = SessionTracker;
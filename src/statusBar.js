@@ -0,0 +1,123 @@
+const vscode = require('vscode');
+
+const MENU_COMMAND = 'activity-tracker.showMenu';
+
+class StatusBar {
+    constructor(tracker, gitManager, goalTracker) {
+        this.tracker = tracker;
+        this.gitManager = gitManager;
+        this.goalTracker = goalTracker;
+        this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+        this.item.command = MENU_COMMAND;
+        this.disposables = [
+            this.item,
+            vscode.commands.registerCommand(MENU_COMMAND, () => this.showMenu()),
+            tracker.onDidChangeState(() => this.update()),
+            gitManager.onDidChangeState(() => this.update()),
+            goalTracker.onDidChangeState(() => this.update()),
+            gitManager.githubApi.onDidChangeRateLimit(() => this.update())
+        ];
+
+        this.update();
+        this.item.show();
+    }
+
+    formatDuration(durationMs) {
+        const minutes = Math.floor(durationMs / 60000);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    update() {
+        const pending = this.gitManager.getPendingCount();
+        const error = this.gitManager.lastError;
+        const streaks = this.goalTracker.getStats();
+        // From the logged history, so the figures survive a reload and match the goal lines below
+        const today = streaks?.today || { minutes: 0, saves: 0 };
+        const durationMs = today.minutes * 60000;
+        const rateLimit = this.gitManager.githubApi.requestLayer.getState();
+
+        let icon;
+        if (error) {
+            icon = '$(error)';
+        } else if (rateLimit.throttled) {
+            icon = '$(watch)';
+        } else if (this.gitManager.isProcessingQueue) {
+            icon = '$(sync~spin)';
+        } else if (this.tracker.isTracking) {
+            icon = '$(pulse)';
+        } else {
+            icon = '$(debug-pause)';
+        }
+
+        let text = `${icon} ${durationMs > 0 ? this.formatDuration(durationMs) : `${today.saves} saves`}`;
+        if (streaks?.currentStreak > 0) {
+            text += ` $(flame) ${streaks.currentStreak}`;
+        }
+        if (pending > 0) {
+            text += ` · ${pending} pending`;
+        }
+        if (this.gitManager.isDryRun) {
+            text += ' · dry run';
+        }
+        this.item.text = text;
+
+        const tooltip = [
+            `Activity tracking: ${this.tracker.isTracking ? 'on' : 'paused'}`,
+            `Today: ${this.formatDuration(durationMs)} tracked, ${today.saves} saves`,
+            `Pending uploads: ${pending}`
+        ];
+        if (streaks) {
+            tooltip.push(`Streak: ${streaks.currentStreak} days (longest ${streaks.longestStreak})`);
+            if (streaks.daily) {
+                tooltip.push(`Daily goal: ${streaks.daily.value} / ${streaks.daily.target} ${streaks.unit}`);
+            }
+            if (streaks.weekly) {
+                tooltip.push(`Weekly goal: ${streaks.weekly.value} / ${streaks.weekly.target} ${streaks.unit}`);
+            }
+        }
+        if (this.gitManager.isDryRun) {
+            tooltip.push(`Dry run: nothing is pushed, writes are staged in ${this.gitManager.dryRun.stagingDir}`);
+        }
+        if (this.gitManager.isProcessingQueue) {
+            tooltip.push(`Syncing to ${this.gitManager.storage.description}...`);
+        }
+        if (rateLimit.throttled) {
+            tooltip.push(`GitHub rate limit reached, waiting until ${new Date(rateLimit.throttledUntil).toLocaleTimeString()}`);
+        } else if (rateLimit.remaining !== null) {
+            tooltip.push(`GitHub API budget: ${rateLimit.remaining} of ${rateLimit.limit} requests left`);
+        }
+        if (error) {
+            tooltip.push(`Last upload failed: ${error.message}`);
+        }
+        this.item.tooltip = tooltip.join('\n');
+        this.item.backgroundColor = error ? new vscode.ThemeColor('statusBarItem.errorBackground') : undefined;
+    }
+
+    async showMenu() {
+        const items = [
+            this.tracker.isTracking
+                ? { label: '$(debug-pause) Pause Tracking', command: 'activity-tracker.stopTracking' }
+                : { label: '$(play) Resume Tracking', command: 'activity-tracker.startTracking' },
+            {
+                label: '$(sync) Sync Now',
+                description: `${this.gitManager.getPendingCount()} pending`,
+                command: 'activity-tracker.syncNow'
+            },
+            { label: '$(diff) Preview Changes (Dry Run)', command: 'activity-tracker.dryRun' },
+            { label: '$(graph) Open Dashboard', command: 'activity-tracker.showDashboard' }
+        ];
+
+        const choice = await vscode.window.showQuickPick(items, { placeHolder: 'Activity Tracker' });
+        if (choice) {
+            await vscode.commands.executeCommand(choice.command);
+        }
+    }
+
+    dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+}
+
+module.exports = StatusBar;
@@ -0,0 +1,57 @@
+const vscode = require('vscode');
+const os = require('os');
+const GithubStorage = require('./githubStorage');
+const LocalFolderStorage = require('./localFolderStorage');
+const GistStorage = require('./gistStorage');
+const GiteaStorage = require('./giteaStorage');
+const { SECTION } = require('./config');
+
+const GITEA_TOKEN_SECRET = 'activityTracker.giteaToken';
+
+// Every request asks for the token, so a dismissed prompt stays dismissed until setup is run again
+let giteaTokenPromptDismissed = false;
+
+function allowGiteaTokenPrompt() {
+    giteaTokenPromptDismissed = false;
+}
+
+// Asks once and keeps the token in VS Code's secret storage, never in settings
+async function getGiteaToken(secrets, serverUrl) {
+    if (!secrets) return null;
+
+    let token = await secrets.get(GITEA_TOKEN_SECRET);
+    if (!token && !giteaTokenPromptDismissed) {
+        token = await vscode.window.showInputBox({
+            prompt: `Access token for ${serverUrl} with read and write access to repositories`,
+            password: true,
+            ignoreFocusOut: true
+        });
+        if (token) {
+            await secrets.store(GITEA_TOKEN_SECRET, token);
+        } else {
+            giteaTokenPromptDismissed = true;
+            console.log(`No access token for ${serverUrl}; run setup again to enter one`);
+        }
+    }
+    return token || null;
+}
+
+function createStorage(config, { githubApi, secrets }) {
+    const storage = config.storage;
+    switch (storage.backend) {
+        case 'local':
+            return new LocalFolderStorage(storage.localPath.replace(/^~(?=$|[\\/])/, os.homedir()));
+        case 'gist':
+            return new GistStorage(githubApi, storage.gistId, {
+                onCreated: gistId => vscode.workspace
+                    .getConfiguration(SECTION)
+                    .update('storage.gistId', gistId, vscode.ConfigurationTarget.Global)
+            });
+        case 'gitea':
+            return new GiteaStorage(storage.giteaUrl, storage.giteaRepository, () => getGiteaToken(secrets, storage.giteaUrl));
+        default:
+            return new GithubStorage(githubApi, config.repository.name);
+    }
+}
+
+module.exports = { createStorage, allowGiteaTokenPrompt };
@@ -0,0 +1,196 @@
+const { parse } = require('@babel/parser');
+
+const PARSEABLE_LANGUAGES = new Set([
+    'javascript',
+    'javascriptreact',
+    'typescript',
+    'typescriptreact'
+]);
+
+function isParseableLanguage(languageId) {
+    return PARSEABLE_LANGUAGES.has(languageId);
+}
+
+function parseSource(content, languageId) {
+    const plugins = ['jsx'];
+    if (languageId === 'typescript' || languageId === 'typescriptreact') {
+        plugins.push('typescript');
+    }
+
+    return parse(content, {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        plugins
+    });
+}
+
+function isFunctionNode(node) {
+    return node && (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression');
+}
+
+function getKeyName(key) {
+    if (!key) return null;
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'PrivateName') return `#${key.id.name}`;
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+    return null;
+}
+
+// Name of the target in `foo = ...`, `exports.foo = ...` or `Foo.prototype.foo = ...`
+function getAssignmentName(left) {
+    if (left.type === 'Identifier') return left.name;
+    if (left.type === 'MemberExpression' && !left.computed) return getKeyName(left.property);
+    return null;
+}
+
+function isRequireCall(node) {
+    return node.type === 'CallExpression' &&
+        node.callee.type === 'Identifier' &&
+        node.callee.name === 'require' &&
+        node.arguments.length === 1 &&
+        node.arguments[0].type === 'StringLiteral';
+}
+
+// Nested declarations are qualified by what encloses them, like `Class.method` or `App.handleChange`
+function qualify(scope, name) {
+    return scope ? `${scope}.${name}` : name;
+}
+
+// Collects functions, classes and imports keyed by name, with their source text as the value
+function extractSymbols(content, languageId) {
+    const ast = parseSource(content, languageId);
+    const symbols = {
+        functions: new Map(),
+        classes: new Map(),
+        imports: new Map()
+    };
+    const sourceOf = node => content.slice(node.start, node.end);
+
+    const addFunction = (name, node, scope) => {
+        const qualified = qualify(scope, name);
+        symbols.functions.set(qualified, sourceOf(node));
+        visitChildren(node, qualified);
+    };
+
+    const visit = (node, scope) => {
+        if (!node || typeof node.type !== 'string') return;
+
+        switch (node.type) {
+            case 'FunctionDeclaration':
+                if (node.id) {
+                    addFunction(node.id.name, node, scope);
+                    return;
+                }
+                break;
+            case 'VariableDeclarator':
+                if (node.id.type === 'Identifier' && isFunctionNode(node.init)) {
+                    addFunction(node.id.name, node.init, scope);
+                    return;
+                }
+                if (node.id.type === 'Identifier' && node.init && node.init.type === 'ClassExpression') {
+                    const name = qualify(scope, node.id.name);
+                    symbols.classes.set(name, sourceOf(node.init));
+                    visit(node.init.body, name);
+                    return;
+                }
+                break;
+            case 'AssignmentExpression': {
+                const name = getAssignmentName(node.left);
+                if (name && isFunctionNode(node.right)) {
+                    addFunction(name, node.right, scope);
+                    return;
+                }
+                break;
+            }
+            case 'ClassDeclaration':
+            case 'ClassExpression': {
+                // Anonymous classes have no name of their own to put their methods under
+                const name = node.id ? qualify(scope, node.id.name) : scope;
+                if (node.id) symbols.classes.set(name, sourceOf(node));
+                visit(node.body, name);
+                return;
+            }
+            case 'ClassMethod':
+            case 'ClassPrivateMethod': {
+                const name = getKeyName(node.key);
+                if (name) {
+                    addFunction(name, node, scope);
+                    return;
+                }
+                break;
+            }
+            case 'ClassProperty':
+            case 'ClassPrivateProperty': {
+                const name = getKeyName(node.key);
+                if (name && isFunctionNode(node.value)) {
+                    addFunction(name, node.value, scope);
+                    return;
+                }
+                break;
+            }
+            case 'ImportDeclaration':
+                symbols.imports.set(node.source.value, sourceOf(node));
+                break;
+            case 'CallExpression':
+                if (isRequireCall(node)) {
+                    symbols.imports.set(node.arguments[0].value, sourceOf(node));
+                }
+                break;
+        }
+
+        visitChildren(node, scope);
+    };
+
+    const visitChildren = (node, scope) => {
+        for (const key of Object.keys(node)) {
+            if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') {
+                continue;
+            }
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(item => visit(item, scope));
+            } else if (child && typeof child === 'object') {
+                visit(child, scope);
+            }
+        }
+    };
+
+    visit(ast.program, null);
+    return symbols;
+}
+
+// A symbol is modified when it exists on both sides but its source text differs
+function diffSymbolMaps(oldSymbols, newSymbols) {
+    const added = [];
+    const modified = [];
+    const removed = [];
+
+    for (const [name, source] of newSymbols.entries()) {
+        if (!oldSymbols.has(name)) {
+            added.push(name);
+        } else if (oldSymbols.get(name) !== source) {
+            modified.push(name);
+        }
+    }
+    for (const name of oldSymbols.keys()) {
+        if (!newSymbols.has(name)) {
+            removed.push(name);
+        }
+    }
+
+    return { added, modified, removed };
+}
+
+function detectSymbolChanges(oldContent, newContent, languageId) {
+    const oldSymbols = extractSymbols(oldContent, languageId);
+    const newSymbols = extractSymbols(newContent, languageId);
+
+    return {
+        functions: diffSymbolMaps(oldSymbols.functions, newSymbols.functions),
+        classes: diffSymbolMaps(oldSymbols.classes, newSymbols.classes),
+        imports: diffSymbolMaps(oldSymbols.imports, newSymbols.imports)
+    };
+}
+
+module.exports = { isParseableLanguage, extractSymbols, diffSymbolMaps, detectSymbolChanges };
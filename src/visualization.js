@@ -1,122 +1,790 @@
 const fs = require('fs');
 const path = require('path');
 
-async function generateVisualizations() {
+// Every chart rendered to visualizations/, in the order the profile README shows them
+const CHARTS = ['heatmap', 'activity-chart', 'languages', 'punchcard', 'weekly-trend', 'streak'];
+const THEME_MODES = ['light', 'dark'];
+
+const CHART_TITLES = {
+    heatmap: 'Activity Heatmap',
+    'activity-chart': 'Project Activity',
+    languages: 'Languages',
+    punchcard: 'Coding Hours',
+    'weekly-trend': 'Weekly Trend',
+    streak: 'Coding Streak'
+};
+
+// Light charts keep the plain file name so existing README links still work
+function getChartFileName(chart, mode) {
+    return mode === 'dark' ? `${chart}-dark.svg` : `${chart}.svg`;
+}
+
+const VISUALIZATION_FILES = CHARTS.flatMap(chart => THEME_MODES.map(mode => getChartFileName(chart, mode)));
+
+// Categorical colors for per-language slices
+const SERIES_COLORS = {
+    light: ['#2da44e', '#0969da', '#bf3989', '#d4a72c', '#8250df', '#cf222e', '#1b7c83', '#6e7781'],
+    dark: ['#3fb950', '#58a6ff', '#db61a2', '#e3b341', '#a371f7', '#f85149', '#39c5cf', '#8b949e']
+};
+
+// Heatmap levels run from least to most active; "empty" colors days without activity and "accent" marks commits
+const PALETTES = {
+    github: {
+        light: { empty: '#ebedf0', levels: ['#9be9a8', '#40c463', '#30a14e', '#216e39'], bar: '#40c463', accent: '#8250df', text: '#57606a', series: SERIES_COLORS.light },
+        dark: { empty: '#161b22', levels: ['#0e4429', '#006d32', '#26a641', '#39d353'], bar: '#26a641', accent: '#a371f7', text: '#8b949e', series: SERIES_COLORS.dark }
+    },
+    // Viridis steps and the Okabe-Ito series stay distinguishable with all common forms of color blindness
+    colorblind: {
+        light: {
+            empty: '#ebedf0', levels: ['#fde725', '#5ec962', '#21918c', '#3b528b'], bar: '#21918c', accent: '#e69f00', text: '#57606a',
+            series: ['#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00', '#f0e442', '#000000']
+        },
+        dark: {
+            empty: '#161b22', levels: ['#3b528b', '#21918c', '#5ec962', '#fde725'], bar: '#5ec962', accent: '#e69f00', text: '#8b949e',
+            series: ['#56b4e9', '#e69f00', '#009e73', '#cc79a7', '#0072b2', '#d55e00', '#f0e442', '#ffffff']
+        }
+    },
+    ocean: {
+        light: { empty: '#ebedf0', levels: ['#c6e2ff', '#79b8ff', '#2188ff', '#005cc5'], bar: '#4a90e2', accent: '#d4a72c', text: '#57606a', series: SERIES_COLORS.light },
+        dark: { empty: '#161b22', levels: ['#0c2d6b', '#1158c7', '#388bfd', '#79c0ff'], bar: '#4a90e2', accent: '#e3b341', text: '#8b949e', series: SERIES_COLORS.dark }
+    }
+};
+
+function getTheme(paletteName, mode) {
+    const palette = PALETTES[paletteName] || PALETTES.github;
+    return palette[mode] || palette.light;
+}
+
+// Version 1 entries carry only file, project, timestamp and changes; version 2 adds
+// language, fileExtension, branch, workspaceType, vscodeVersion and timezoneOffset
+const ENTRY_SCHEMA_VERSION = 2;
+
+// Activity logs are stored as projects/<project>/<year>/<month>.jsonl, one entry per line
+function getShardPath(project, timestamp) {
+    const date = new Date(timestamp);
+    const year = date.getUTCFullYear();
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    return `projects/${project}/${year}/${month}.jsonl`;
+}
+
+function parseShard(content) {
+    return content
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+function getLineId(line) {
     try {
-        // Import dependencies
-        const [d3Module, svgdomModule, svgjsModule] = await Promise.all([
-            import('d3'),
-            import('svgdom'),
-            import('@svgdotjs/svg.js')
-        ]);
-
-        const d3 = d3Module.default;
-        const { createSVGWindow } = svgdomModule;
-        const { SVG, registerWindow } = svgjsModule;
-
-        // Set up the SVG.js window environment
+        return JSON.parse(line).id || null;
+    } catch {
+        return null;
+    }
+}
+
+// Appends serialized entries to a shard's content, leaving out any whose id the shard (or an
+// earlier line of the batch) already has. Returns the content unchanged when nothing is new
+function mergeShardLines(existingContent, lines) {
+    const content = existingContent || '';
+    const storedIds = new Set(content.split('\n').map(getLineId).filter(Boolean));
+    const newLines = lines.filter(line => {
+        const id = getLineId(line);
+        if (!id) return true;
+        if (storedIds.has(id)) return false;
+        storedIds.add(id);
+        return true;
+    });
+    if (newLines.length === 0) return existingContent;
+
+    const separator = content && !content.endsWith('\n') ? '\n' : '';
+    return content + separator + newLines.join('\n') + '\n';
+}
+
+// Several windows or machines may have uploaded the same entry; count each id once
+function dedupeEntries(entries) {
+    const seen = new Set();
+    return entries.filter(entry => {
+        if (!entry.id) return true;
+        if (seen.has(entry.id)) return false;
+        seen.add(entry.id);
+        return true;
+    });
+}
+
+function listShards(dir) {
+    let shards = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            shards = shards.concat(listShards(fullPath));
+        } else if (entry.name.endsWith('.jsonl')) {
+            shards.push(fullPath);
+        }
+    }
+    return shards;
+}
+
+// Moves a legacy activity-log.json into monthly shards and removes it
+function migrateLegacyLog(projectsDir, project) {
+    const legacyPath = path.join(projectsDir, project, 'activity-log.json');
+    if (!fs.existsSync(legacyPath)) return;
+
+    const logs = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+    const shards = new Map();
+    for (const entry of logs) {
+        const shardPath = path.join(path.dirname(projectsDir), getShardPath(project, entry.timestamp));
+        if (!shards.has(shardPath)) {
+            shards.set(shardPath, fs.existsSync(shardPath) ? parseShard(fs.readFileSync(shardPath, 'utf8')) : []);
+        }
+        shards.get(shardPath).push(entry);
+    }
+
+    for (const [shardPath, entries] of shards.entries()) {
+        entries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        fs.mkdirSync(path.dirname(shardPath), { recursive: true });
+        fs.writeFileSync(shardPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+
+    fs.unlinkSync(legacyPath);
+    console.log(`Migrated ${logs.length} entries for project ${project} to monthly shards`);
+}
+
+function loadActivity(projectsDir) {
+    let allActivity = [];
+    if (!fs.existsSync(projectsDir)) return allActivity;
+
+    const projects = fs.readdirSync(projectsDir)
+        .filter(file => fs.statSync(path.join(projectsDir, file)).isDirectory());
+
+    for (const project of projects) {
+        try {
+            migrateLegacyLog(projectsDir, project);
+        } catch (err) {
+            console.warn(`Warning: Could not migrate legacy log file for project ${project}:`, err);
+        }
+
+        for (const shardPath of listShards(path.join(projectsDir, project))) {
+            try {
+                allActivity = allActivity.concat(parseShard(fs.readFileSync(shardPath, 'utf8')).map(normalizeEntry));
+            } catch (err) {
+                console.warn(`Warning: Could not parse log shard ${shardPath}:`, err);
+            }
+        }
+    }
+    return dedupeEntries(allActivity);
+}
+
+const EXTENSION_LANGUAGES = {
+    '.js': 'javascript', '.jsx': 'javascriptreact', '.mjs': 'javascript', '.cjs': 'javascript',
+    '.ts': 'typescript', '.tsx': 'typescriptreact', '.py': 'python', '.go': 'go', '.rs': 'rust',
+    '.java': 'java', '.kt': 'kotlin', '.rb': 'ruby', '.php': 'php', '.cs': 'csharp',
+    '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp', '.swift': 'swift', '.md': 'markdown',
+    '.json': 'json', '.yml': 'yaml', '.yaml': 'yaml', '.html': 'html', '.css': 'css',
+    '.scss': 'scss', '.sh': 'shellscript', '.sql': 'sql'
+};
+
+// Older entries carry no language, so fall back to guessing from the file extension
+function getEntryLanguage(entry) {
+    if (entry.language) return entry.language;
+    const extension = entry.fileExtension || path.extname(entry.file || '').toLowerCase();
+    return EXTENSION_LANGUAGES[extension] || 'other';
+}
+
+// Upgrades entries from older schema versions so aggregation can rely on every field existing
+function normalizeEntry(entry) {
+    if (entry.schemaVersion >= ENTRY_SCHEMA_VERSION) return entry;
+
+    const fileExtension = entry.fileExtension || path.extname(entry.file || '').toLowerCase();
+    return {
+        ...entry,
+        schemaVersion: ENTRY_SCHEMA_VERSION,
+        fileExtension,
+        language: getEntryLanguage({ ...entry, fileExtension }),
+        branch: entry.branch || null,
+        workspaceType: entry.workspaceType || 'unknown',
+        vscodeVersion: entry.vscodeVersion || null
+    };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function addTo(map, key, value) {
+    map.set(key, (map.get(key) || 0) + value);
+}
+
+// Sums activity per key. Days with coding sessions count their session hours; days from before
+// sessions were recorded (or with none) count saves instead, so older history stays on the charts.
+// `totals` is in hours whenever any session exists, with saves converted at the hours-per-save seen
+// on days that have both, and `describe(keys)` spells out the real hours and saves behind keys.
+// Commit entries are counted separately by countCommits
+function aggregateActivity(allActivity, keyOf) {
+    const dayOf = entry => toDateKey(new Date(entry.timestamp));
+    const sessions = allActivity.filter(entry => entry.type === 'session');
+    const saves = allActivity.filter(entry => entry.type !== 'session' && entry.type !== 'commit');
+    const timedDays = new Set(sessions.map(dayOf));
+    const unit = sessions.length > 0 ? 'hours' : 'saves';
+
+    const hours = new Map();
+    const untimedSaves = new Map();
+    let totalHours = 0;
+    let timedSaveCount = 0;
+    sessions.forEach(entry => {
+        addTo(hours, keyOf(entry), entry.durationMs / HOUR_MS);
+        totalHours += entry.durationMs / HOUR_MS;
+    });
+    saves.forEach(entry => {
+        if (timedDays.has(dayOf(entry))) {
+            timedSaveCount++;
+        } else {
+            addTo(untimedSaves, keyOf(entry), 1);
+        }
+    });
+
+    let hoursPerSave = 1;
+    if (unit === 'hours') {
+        hoursPerSave = timedSaveCount > 0 ? totalHours / timedSaveCount : totalHours / sessions.length;
+    }
+    const totals = new Map(hours);
+    untimedSaves.forEach((count, key) => addTo(totals, key, count * hoursPerSave));
+
+    const describe = keys => {
+        const list = Array.isArray(keys) ? keys : [keys];
+        const sum = map => list.reduce((total, key) => total + (map.get(key) || 0), 0);
+        return formatBreakdown(sum(hours), sum(untimedSaves), unit);
+    };
+
+    return { totals, unit, describe };
+}
+
+function countCommits(allActivity, keyOf) {
+    const totals = new Map();
+    allActivity.filter(entry => entry.type === 'commit').forEach(entry => {
+        const key = keyOf(entry);
+        totals.set(key, (totals.get(key) || 0) + 1);
+    });
+    return totals;
+}
+
+// d3, svg.js and svgdom are ESM-only; returns d3 and a factory for fresh, empty canvases
+async function loadRenderingLibraries() {
+    const [d3Module, svgdomModule, svgjsModule] = await Promise.all([
+        import('d3'),
+        import('svgdom'),
+        import('@svgdotjs/svg.js')
+    ]);
+
+    const { createSVGWindow } = svgdomModule;
+    const { SVG, registerWindow } = svgjsModule;
+
+    const createCanvas = (width, height) => {
+        // Each chart gets its own window so elements never leak between SVGs
         const window = createSVGWindow();
         const document = window.document;
         registerWindow(window, document);
+        return SVG(document.documentElement).size(width, height);
+    };
 
-        // Load activity data
-        const projectsDir = path.join(process.cwd(), 'projects');
-        let allActivity = [];
-
-        if (fs.existsSync(projectsDir)) {
-            const projects = fs.readdirSync(projectsDir)
-                .filter(file => fs.statSync(path.join(projectsDir, file)).isDirectory());
-
-            for (const project of projects) {
-                const logPath = path.join(projectsDir, project, 'activity-log.json');
-                if (fs.existsSync(logPath)) {
-                    try {
-                        const logs = JSON.parse(fs.readFileSync(logPath, 'utf8'));
-                        allActivity = allActivity.concat(logs);
-                    } catch (err) {
-                        console.warn(`Warning: Could not parse log file for project ${project}:`, err);
-                    }
-                }
-            }
+    return { d3: d3Module, createCanvas };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+function toDateKey(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Upper bounds of the 1st-3rd quartile of active days; days above the last one get the darkest color
+function getQuantileThresholds(values) {
+    const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) return [];
+    return [0.25, 0.5, 0.75].map(q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))]);
+}
+
+function getColorLevel(value, thresholds) {
+    if (value <= 0) return 0;
+    const level = thresholds.findIndex(threshold => value <= threshold);
+    return level === -1 ? thresholds.length + 1 : level + 1;
+}
+
+function formatAmount(value, unit) {
+    if (unit === 'hours') {
+        return `${value.toFixed(1)} ${value === 1 ? 'hour' : 'hours'}`;
+    }
+    return `${value} ${value === 1 ? 'save' : 'saves'}`;
+}
+
+// "2.5 hours", "12 saves" or "2.5 hours + 12 saves" for keys that span days with and without sessions
+function formatBreakdown(hours, saves, unit) {
+    const parts = [];
+    if (hours > 0) parts.push(formatAmount(hours, 'hours'));
+    if (saves > 0) parts.push(formatAmount(saves, 'saves'));
+    return parts.length > 0 ? parts.join(' + ') : `No ${unit}`;
+}
+
+// GitHub-style contribution calendar: 53 week columns x 7 weekday rows ending today (UTC)
+function renderHeatmap({ createCanvas }, allActivity, theme, options = {}) {
+    const colors = [theme.empty, ...theme.levels];
+    const cellSize = 10;
+    const cellStep = 13;
+    const left = 32;
+    const top = 20;
+    const weeks = 53;
+    const width = left + weeks * cellStep + 10;
+    const height = top + 7 * cellStep + 30;
+    const heatmapCanvas = createCanvas(width, height);
+
+    const { totals: activityByDate, describe } = aggregateActivity(
+        allActivity,
+        entry => toDateKey(new Date(entry.timestamp))
+    );
+
+    const today = options.endDate ? new Date(options.endDate) : new Date();
+    const end = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+    // The first column starts on the Sunday 52 weeks before the current week
+    const start = end - (52 * 7 + new Date(end).getUTCDay()) * DAY_MS;
+
+    const days = [];
+    for (let time = start; time <= end; time += DAY_MS) {
+        const date = new Date(time);
+        const key = toDateKey(date);
+        days.push({ date, key, value: activityByDate.get(key) || 0 });
+    }
+    const thresholds = getQuantileThresholds(days.map(day => day.value));
+
+    days.forEach((day, i) => {
+        const week = Math.floor(i / 7);
+        const weekday = day.date.getUTCDay();
+        const label = describe(day.key);
+
+        const cell = heatmapCanvas
+            .rect(cellSize, cellSize)
+            .move(left + week * cellStep, top + weekday * cellStep)
+            .fill(colors[getColorLevel(day.value, thresholds)])
+            .radius(2);
+        cell.element('title').words(`${label} on ${day.key}`);
+
+        // Label the first week column of each month, skipping a partial month at the very start
+        if (weekday === 0 && day.date.getUTCDate() <= 7 && week < weeks - 1) {
+            heatmapCanvas
+                .plain(MONTH_LABELS[day.date.getUTCMonth()])
+                .font({ size: 9 })
+                .fill(theme.text)
+                .move(left + week * cellStep, 2);
         }
+    });
 
-        // Create visualizations directory
-        const visualizationsDir = path.join(process.cwd(), 'visualizations');
-        if (!fs.existsSync(visualizationsDir)) {
-            fs.mkdirSync(visualizationsDir, { recursive: true });
+    WEEKDAY_LABELS.forEach((weekdayLabel, weekday) => {
+        if (!weekdayLabel) return;
+        heatmapCanvas
+            .plain(weekdayLabel)
+            .font({ size: 9 })
+            .fill(theme.text)
+            .move(0, top + weekday * cellStep - 1);
+    });
+
+    // Legend: Less [colors] More
+    const legendY = top + 7 * cellStep + 10;
+    const legendX = width - 10 - (colors.length * cellStep + 60);
+    heatmapCanvas.plain('Less').font({ size: 9 }).fill(theme.text).move(legendX, legendY - 1);
+    colors.forEach((color, level) => {
+        heatmapCanvas
+            .rect(cellSize, cellSize)
+            .move(legendX + 28 + level * cellStep, legendY)
+            .fill(color)
+            .radius(2);
+    });
+    heatmapCanvas
+        .plain('More')
+        .font({ size: 9 })
+        .fill(theme.text)
+        .move(legendX + 32 + colors.length * cellStep, legendY - 1);
+
+    return heatmapCanvas.svg();
+}
+
+// Activity and commits per project side by side, each bar scaled against its own series
+function renderActivityChart({ createCanvas }, allActivity, theme) {
+    const chartCanvas = createCanvas(800, 300);
+
+    // Process project data
+    const { totals: projectActivity, unit, describe } = aggregateActivity(allActivity, entry => entry.project);
+    const projectCommits = countCommits(allActivity, entry => entry.project);
+
+    const projectData = Array.from(new Set([...projectActivity.keys(), ...projectCommits.keys()]))
+        .map(name => ({ name, activity: projectActivity.get(name) || 0, commits: projectCommits.get(name) || 0 }));
+
+    const barWidth = 20;
+    const groupGap = 20;
+    const maxProjectActivity = Math.max(...projectData.map(p => p.activity), 1);
+    const maxProjectCommits = Math.max(...projectData.map(p => p.commits), 1);
+
+    projectData.forEach((project, i) => {
+        const x = i * (barWidth * 2 + groupGap) + 50;
+        const activityHeight = (project.activity / maxProjectActivity) * 200;
+        const commitHeight = (project.commits / maxProjectCommits) * 200;
+
+        chartCanvas
+            .rect(barWidth, activityHeight)
+            .move(x, 250 - activityHeight)
+            .fill(theme.bar)
+            .radius(4)
+            .element('title')
+            .words(`${project.name}: ${describe(project.name)}`);
+
+        chartCanvas
+            .rect(barWidth, commitHeight)
+            .move(x + barWidth, 250 - commitHeight)
+            .fill(theme.accent)
+            .radius(4)
+            .element('title')
+            .words(`${project.name}: ${project.commits} ${project.commits === 1 ? 'commit' : 'commits'}`);
+
+        chartCanvas
+            .text(project.name)
+            .move(x + barWidth, 260)
+            .font({ size: 12, anchor: 'middle' })
+            .fill(theme.text);
+    });
+
+    // Legend
+    [[theme.bar, unit], [theme.accent, 'commits']].forEach(([color, label], i) => {
+        chartCanvas.rect(10, 10).move(50 + i * 90, 12).fill(color).radius(2);
+        chartCanvas.plain(label).font({ size: 12 }).fill(theme.text).move(66 + i * 90, 10);
+    });
+
+    return chartCanvas.svg();
+}
+
+// Shifts a timestamp so its UTC fields read as the author's wall-clock time, when the offset was recorded
+function getLocalTime(entry) {
+    const date = new Date(entry.timestamp);
+    if (typeof entry.timezoneOffset !== 'number') return date;
+    return new Date(date.getTime() - entry.timezoneOffset * 60 * 1000);
+}
+
+function renderLanguageDonut({ d3, createCanvas }, allActivity, theme) {
+    const canvas = createCanvas(500, 260);
+    const { totals, describe } = aggregateActivity(allActivity, getEntryLanguage);
+
+    // Keep the chart readable: the top languages plus one "other" slice
+    const sorted = Array.from(totals.entries()).sort((a, b) => b[1] - a[1]);
+    const maxSlices = theme.series.length - 1;
+    const slices = sorted.slice(0, maxSlices).map(([name, value]) => ({ name, value, keys: [name] }));
+    const otherTotal = sorted.slice(maxSlices).reduce((sum, [, value]) => sum + value, 0);
+    if (otherTotal > 0) {
+        slices.push({ name: 'other', value: otherTotal, keys: sorted.slice(maxSlices).map(([name]) => name) });
+    }
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+
+    const radius = 100;
+    const donut = canvas.group().translate(130, 130);
+    if (total === 0) {
+        donut.circle(radius * 2).center(0, 0).fill(theme.empty);
+    }
+
+    const arc = d3.arc().innerRadius(radius * 0.6).outerRadius(radius);
+    d3.pie().value(slice => slice.value).sort(null)(slices).forEach((arcData, i) => {
+        const slice = arcData.data;
+        const share = Math.round((slice.value / total) * 100);
+        donut
+            .path(arc(arcData))
+            .fill(theme.series[i % theme.series.length])
+            .element('title')
+            .words(`${slice.name}: ${describe(slice.keys)} (${share}%)`);
+
+        // Legend entry
+        canvas.rect(10, 10).move(270, 40 + i * 22).fill(theme.series[i % theme.series.length]).radius(2);
+        canvas
+            .plain(`${slice.name} ${share}%`)
+            .font({ size: 12 })
+            .fill(theme.text)
+            .move(288, 38 + i * 22);
+    });
+
+    return canvas.svg();
+}
+
+// Day-of-week x hour-of-day grid where circle area follows activity
+function renderPunchcard({ createCanvas }, allActivity, theme) {
+    const left = 40;
+    const top = 20;
+    const step = 28;
+    const canvas = createCanvas(left + 24 * step + 10, top + 7 * step + 30);
+
+    const { totals, describe } = aggregateActivity(allActivity, entry => {
+        const local = getLocalTime(entry);
+        return `${local.getUTCDay()}-${local.getUTCHours()}`;
+    });
+    const max = Math.max(...totals.values(), 1);
+
+    ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach((dayLabel, day) => {
+        canvas
+            .plain(dayLabel)
+            .font({ size: 10 })
+            .fill(theme.text)
+            .move(0, top + day * step + step / 2 - 7);
+
+        for (let hour = 0; hour < 24; hour++) {
+            const value = totals.get(`${day}-${hour}`) || 0;
+            const cx = left + hour * step + step / 2;
+            const cy = top + day * step + step / 2;
+            const diameter = value > 0 ? Math.max(3, Math.sqrt(value / max) * (step - 4)) : 3;
+
+            canvas
+                .circle(diameter)
+                .center(cx, cy)
+                .fill(value > 0 ? theme.bar : theme.empty)
+                .element('title')
+                .words(`${describe(`${day}-${hour}`)} on ${dayLabel} at ${hour}:00`);
         }
+    });
 
-        // Generate Heatmap
-        const heatmapCanvas = SVG(document.documentElement);
-        heatmapCanvas.size(800, 200);
+    for (let hour = 0; hour < 24; hour += 3) {
+        canvas
+            .plain(`${hour}h`)
+            .font({ size: 10 })
+            .fill(theme.text)
+            .move(left + hour * step + step / 2 - 6, top + 7 * step + 8);
+    }
 
-        // Process activity data for heatmap
-        const activityByDate = new Map();
-        allActivity.forEach(entry => {
-            const date = new Date(entry.timestamp).toISOString().split('T')[0];
-            activityByDate.set(date, (activityByDate.get(date) || 0) + 1);
-        });
+    return canvas.svg();
+}
 
-        const maxActivity = Math.max(...activityByDate.values(), 1);
-        Array.from(activityByDate.entries()).forEach(([date, count], i) => {
-            const cellSize = 10;
-            const cellPadding = 2;
-            const x = (i % 52) * (cellSize + cellPadding) + 20;
-            const y = Math.floor(i / 52) * (cellSize + cellPadding) + 20;
-            const intensity = count / maxActivity;
-            
-            heatmapCanvas
-                .rect(cellSize, cellSize)
-                .move(x, y)
-                .fill(`rgb(0,${Math.floor(intensity * 155)},${Math.floor(intensity * 255)})`)
-                .radius(2);
-        });
+// Weekly totals for the last 12 weeks against the 12 weeks before them
+function renderWeeklyTrend({ createCanvas }, allActivity, theme, options = {}) {
+    const weeks = 12;
+    const width = 600;
+    const height = 260;
+    const left = 50;
+    const right = 20;
+    const top = 40;
+    const bottom = 40;
+    const canvas = createCanvas(width, height);
 
-        // Save heatmap
-        fs.writeFileSync(
-            path.join(visualizationsDir, 'heatmap.svg'),
-            heatmapCanvas.svg()
-        );
+    const now = options.endDate ? new Date(options.endDate) : new Date();
+    const todayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    // Weeks start on Sunday, like the heatmap columns
+    const currentWeekStart = todayStart - new Date(todayStart).getUTCDay() * DAY_MS;
 
-        // Generate Activity Chart
-        const chartCanvas = SVG(document.documentElement);
-        chartCanvas.size(800, 300);
+    // Keyed by how many weeks ago the entry happened; 0 is the current week
+    const { totals, unit, describe } = aggregateActivity(
+        allActivity,
+        entry => Math.max(0, Math.ceil((currentWeekStart - new Date(entry.timestamp).getTime()) / (7 * DAY_MS)))
+    );
 
-        // Process project data
-        const projectActivity = new Map();
-        allActivity.forEach(entry => {
-            projectActivity.set(entry.project, (projectActivity.get(entry.project) || 0) + 1);
-        });
+    // Index 0 is the oldest week of each period
+    const currentKeys = Array.from({ length: weeks }, (_, i) => weeks - 1 - i);
+    const previousKeys = currentKeys.map(key => key + weeks);
+    const current = currentKeys.map(key => totals.get(key) || 0);
+    const previous = previousKeys.map(key => totals.get(key) || 0);
+    const max = Math.max(...current, ...previous, 1);
 
-        const projectData = Array.from(projectActivity.entries())
-            .map(([name, activity]) => ({ name, activity }));
+    const x = i => left + (i / (weeks - 1)) * (width - left - right);
+    const y = value => top + (1 - value / max) * (height - top - bottom);
 
-        const barWidth = 40;
-        const barGap = 20;
-        const maxProjectActivity = Math.max(...projectData.map(p => p.activity), 1);
+    // Axis and scale labels
+    canvas.line(left, height - bottom, width - right, height - bottom).stroke({ color: theme.empty, width: 1 });
+    canvas.plain('0').font({ size: 10 }).fill(theme.text).move(left - 20, height - bottom - 7);
+    canvas
+        .plain(unit === 'hours' ? `${max.toFixed(1)}h` : String(max))
+        .font({ size: 10 })
+        .fill(theme.text)
+        .move(left - 40, top - 7);
+    canvas.plain('12 weeks ago').font({ size: 10 }).fill(theme.text).move(left, height - bottom + 8);
+    canvas.plain('this week').font({ size: 10 }).fill(theme.text).move(width - right - 45, height - bottom + 8);
 
-        projectData.forEach((project, i) => {
-            const height = (project.activity / maxProjectActivity) * 200;
-            const x = i * (barWidth + barGap) + 50;
-            const y = 250 - height;
+    canvas
+        .polyline(previous.map((value, i) => [x(i), y(value)]))
+        .fill('none')
+        .stroke({ color: theme.text, width: 2, dasharray: '4 4' });
+    canvas
+        .polyline(current.map((value, i) => [x(i), y(value)]))
+        .fill('none')
+        .stroke({ color: theme.bar, width: 3 });
 
-            chartCanvas
-                .rect(barWidth, height)
-                .move(x, y)
-                .fill('#4A90E2')
-                .radius(4);
+    current.forEach((value, i) => {
+        canvas
+            .circle(6)
+            .center(x(i), y(value))
+            .fill(theme.bar)
+            .element('title')
+            .words(`${describe(currentKeys[i])} (previous period: ${describe(previousKeys[i])})`);
+    });
 
-            chartCanvas
-                .text(project.name)
-                .move(x + barWidth/2, 260)
-                .font({ size: 12, anchor: 'middle' });
-        });
+    const currentTotal = current.reduce((sum, value) => sum + value, 0);
+    const previousTotal = previous.reduce((sum, value) => sum + value, 0);
+    const change = previousTotal > 0
+        ? `${currentTotal >= previousTotal ? '+' : ''}${Math.round(((currentTotal - previousTotal) / previousTotal) * 100)}%`
+        : 'n/a';
+    canvas
+        .plain(`Last 12 weeks: ${describe(currentKeys)} (${change} vs previous 12 weeks)`)
+        .font({ size: 12 })
+        .fill(theme.text)
+        .move(left, 10);
+
+    return canvas.svg();
+}
+
+function addDays(dateKey, days) {
+    return toDateKey(new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS));
+}
+
+// Adds an entry to minutes and saves per local day, so callers can keep the totals up to date
+// as entries are logged instead of rereading every shard
+function addToDailyTotals(days, entry) {
+    const key = toDateKey(getLocalTime(entry));
+    if (!days.has(key)) days.set(key, { minutes: 0, saves: 0 });
+    const day = days.get(key);
+    if (entry.type === 'session') {
+        day.minutes += entry.durationMs / 60000;
+    } else if (entry.type !== 'commit') {
+        day.saves++;
+    }
+    return days;
+}
+
+// Current and longest run of active days plus progress towards daily and weekly goals.
+// Days follow the author's local time; goals are { daily, weekly, unit: 'minutes' | 'saves' }
+function computeStreaks(allActivity, goals = {}, options = {}) {
+    const latest = allActivity.reduce((a, b) => (!a || b.timestamp > a.timestamp ? b : a), null);
+    // Outside the editor (GitHub Actions runs in UTC) use the offset of the most recent entry
+    const timezoneOffset = options.timezoneOffset ??
+        (typeof latest?.timezoneOffset === 'number' ? latest.timezoneOffset : undefined);
+
+    const days = allActivity.reduce(addToDailyTotals, new Map());
+    return computeStreaksFromTotals(days, goals, { ...options, timezoneOffset });
+}
+
+// The same from totals collected with addToDailyTotals
+function computeStreaksFromTotals(days, goals = {}, options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+    const timezoneOffset = options.timezoneOffset ?? now.getTimezoneOffset();
+    const todayKey = toDateKey(new Date(now.getTime() - timezoneOffset * 60 * 1000));
+
+    // A streak stays alive until today ends, so count back from yesterday if today is still empty
+    const activeToday = days.has(todayKey);
+    let currentStreak = 0;
+    for (let key = activeToday ? todayKey : addDays(todayKey, -1); days.has(key); key = addDays(key, -1)) {
+        currentStreak++;
+    }
+
+    let longestStreak = 0;
+    let run = 0;
+    let previousKey = null;
+    Array.from(days.keys()).sort().forEach(key => {
+        run = previousKey && addDays(previousKey, 1) === key ? run + 1 : 1;
+        longestStreak = Math.max(longestStreak, run);
+        previousKey = key;
+    });
+
+    // Weeks start on Sunday, like the heatmap columns
+    const weekStartKey = addDays(todayKey, -new Date(`${todayKey}T00:00:00Z`).getUTCDay());
+    const today = days.get(todayKey) || { minutes: 0, saves: 0 };
+    const week = { minutes: 0, saves: 0 };
+    for (let key = weekStartKey; key <= todayKey; key = addDays(key, 1)) {
+        const day = days.get(key);
+        if (day) {
+            week.minutes += day.minutes;
+            week.saves += day.saves;
+        }
+    }
+
+    const unit = goals.unit === 'saves' ? 'saves' : 'minutes';
+    const progress = (target, totals) => target > 0
+        ? { target, value: Math.floor(totals[unit]), met: totals[unit] >= target }
+        : null;
+
+    return {
+        currentStreak,
+        longestStreak,
+        activeToday,
+        streakAtRisk: currentStreak > 0 && !activeToday,
+        today,
+        week,
+        unit,
+        daily: progress(goals.daily, today),
+        weekly: progress(goals.weekly, week)
+    };
+}
+
+function renderStreakCard({ createCanvas }, allActivity, theme, options = {}) {
+    const canvas = createCanvas(500, 180);
+    const streaks = computeStreaks(allActivity, options.goals, options);
+
+    const stat = (x, value, label) => {
+        canvas.plain(String(value)).font({ size: 36, weight: 'bold' }).fill(theme.bar).move(x, 20);
+        canvas.plain(label).font({ size: 12 }).fill(theme.text).move(x, 68);
+    };
+    stat(20, streaks.currentStreak, `day${streaks.currentStreak === 1 ? '' : 's'} current streak`);
+    stat(260, streaks.longestStreak, `day${streaks.longestStreak === 1 ? '' : 's'} longest streak`);
 
-        // Save activity chart
-        fs.writeFileSync(
-            path.join(visualizationsDir, 'activity-chart.svg'),
-            chartCanvas.svg()
-        );
+    const goalBar = (y, label, goal) => {
+        const width = 460;
+        canvas.rect(width, 10).move(20, y + 18).fill(theme.empty).radius(5);
+        if (!goal) {
+            canvas.plain(`${label}: no goal set`).font({ size: 12 }).fill(theme.text).move(20, y);
+            return;
+        }
+        const filled = Math.min(1, goal.value / goal.target) * width;
+        if (filled > 0) {
+            canvas.rect(filled, 10).move(20, y + 18).fill(theme.bar).radius(5);
+        }
+        canvas
+            .plain(`${label}: ${goal.value} / ${goal.target} ${streaks.unit}${goal.met ? ' ✓' : ''}`)
+            .font({ size: 12 })
+            .fill(theme.text)
+            .move(20, y);
+    };
+    goalBar(100, 'Today', streaks.daily);
+    goalBar(138, 'This week', streaks.weekly);
+
+    return canvas.svg();
+}
+
+const CHART_RENDERERS = {
+    heatmap: renderHeatmap,
+    'activity-chart': renderActivityChart,
+    languages: renderLanguageDonut,
+    punchcard: renderPunchcard,
+    'weekly-trend': renderWeeklyTrend,
+    streak: renderStreakCard
+};
+
+// Renders every chart in light and dark variants, keyed by file name; shared with the in-editor dashboard
+async function renderCharts(allActivity, options = {}) {
+    const libraries = await loadRenderingLibraries();
+    const charts = {};
+
+    for (const mode of THEME_MODES) {
+        const theme = getTheme(options.palette, mode);
+        for (const chart of CHARTS) {
+            charts[getChartFileName(chart, mode)] = CHART_RENDERERS[chart](libraries, allActivity, theme, options);
+        }
+    }
+    return charts;
+}
+
+async function generateVisualizations() {
+    try {
+        // Load activity data
+        const projectsDir = path.join(process.cwd(), 'projects');
+        const allActivity = loadActivity(projectsDir);
+
+        // Create visualizations directory
+        const visualizationsDir = path.join(process.cwd(), 'visualizations');
+        if (!fs.existsSync(visualizationsDir)) {
+            fs.mkdirSync(visualizationsDir, { recursive: true });
+        }
+
+        const charts = await renderCharts(allActivity, {
+            palette: process.env.ACTIVITY_TRACKER_PALETTE,
+            goals: process.env.ACTIVITY_TRACKER_GOALS ? JSON.parse(process.env.ACTIVITY_TRACKER_GOALS) : {}
+        });
+        for (const [fileName, svg] of Object.entries(charts)) {
+            fs.writeFileSync(path.join(visualizationsDir, fileName), svg);
+        }
 
         console.log('Visualizations generated successfully');
     } catch (error) {
@@ -126,7 +794,26 @@ async function generateVisualizations() {
 }
 
 // Export for CommonJS
-module.exports = { generateVisualizations };
+module.exports = {
+    generateVisualizations,
+    renderCharts,
+    getShardPath,
+    mergeShardLines,
+    loadActivity,
+    aggregateActivity,
+    countCommits,
+    addToDailyTotals,
+    computeStreaks,
+    computeStreaksFromTotals,
+    getEntryLanguage,
+    normalizeEntry,
+    getChartFileName,
+    CHARTS,
+    CHART_TITLES,
+    PALETTES,
+    VISUALIZATION_FILES,
+    ENTRY_SCHEMA_VERSION
+};
 
 // Call if running directly
 if (require.main === module) {
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ActivityQueue = require('../src/activityQueue');
+
+const entry = id => ({ id, project: 'app', timestamp: '2024-05-10T09:00:00Z' });
+const ids = queue => queue.entries().flatMap(([, entries]) => entries.map(item => item.id)).sort();
+
+suite('ActivityQueue', () => {
+	let storagePath;
+
+	setup(() => {
+		storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'activity-queue-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(storagePath, { recursive: true, force: true });
+	});
+
+	test('restores pending entries and backoff from disk', () => {
+		const queue = new ActivityQueue(storagePath);
+		queue.push('app', entry('a'));
+		queue.recordFailure();
+
+		const restored = new ActivityQueue(storagePath);
+		assert.deepStrictEqual(ids(restored), ['a']);
+		assert.strictEqual(restored.failedAttempts, 1);
+		assert.ok(!restored.isReadyForRetry());
+	});
+
+	test('windows sharing the queue file keep each other\'s entries', () => {
+		const first = new ActivityQueue(storagePath);
+		const second = new ActivityQueue(storagePath);
+
+		first.push('app', entry('a'));
+		second.push('app', entry('b'));
+		first.push('docs', entry('c'));
+
+		assert.deepStrictEqual(ids(new ActivityQueue(storagePath)), ['a', 'b', 'c']);
+	});
+
+	test('uploaded entries are not picked up again from another window', () => {
+		const first = new ActivityQueue(storagePath);
+		const second = new ActivityQueue(storagePath);
+		first.push('app', entry('a'));
+		second.push('app', entry('b'));
+
+		// The first window adopted "b" on its last save and uploads both
+		first.push('app', entry('c'));
+		const [[project, uploaded]] = first.entries();
+		first.remove(project, uploaded);
+		assert.deepStrictEqual(ids(first), []);
+
+		// The second window still holds "a" and "b" and writes them back...
+		second.push('app', entry('d'));
+		// ...but the first one skips what it already uploaded
+		first.push('app', entry('e'));
+		assert.deepStrictEqual(ids(first), ['d', 'e']);
+	});
+
+	test('an entry that could not be saved is not queued', () => {
+		const queue = new ActivityQueue(storagePath);
+		queue.push('app', entry('a'));
+		queue.save = () => {
+			throw new Error('Disk full');
+		};
+
+		assert.throws(() => queue.push('app', entry('b')), /Disk full/);
+		assert.throws(() => queue.push('docs', entry('c')), /Disk full/);
+		assert.deepStrictEqual(ids(queue), ['a']);
+		assert.deepStrictEqual(queue.entries().map(([project]) => project), ['app']);
+	});
+
+	test('saving leaves no temp file behind', () => {
+		const queue = new ActivityQueue(storagePath);
+		queue.push('app', entry('a'));
+		assert.deepStrictEqual(fs.readdirSync(storagePath), ['activity-queue.json']);
+	});
+
+	test('entries queued during an upload stay queued', () => {
+		const queue = new ActivityQueue(storagePath);
+		queue.push('app', entry('a'));
+		const [[project, uploading]] = queue.entries();
+		queue.push('app', entry('b'));
+
+		queue.remove(project, uploading);
+		assert.deepStrictEqual(ids(queue), ['b']);
+	});
+});
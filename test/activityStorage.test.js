@@ -0,0 +1,75 @@
+const assert = require('assert');
+const ActivityStorage = require('../src/activityStorage');
+const { createConflictError } = require('../src/activityStorage');
+
+const line = id => JSON.stringify({ id, timestamp: '2024-05-10T09:00:00Z' });
+const SHARD = 'projects/app/2024/05.jsonl';
+
+// Keeps files in memory and lets a test slip in another writer's commit
+class MemoryStorage extends ActivityStorage {
+	constructor() {
+		super();
+		this.files = new Map();
+		this.commits = [];
+		this.beforeCommit = () => {};
+	}
+
+	async readFile(filePath) {
+		return this.files.has(filePath) ? this.files.get(filePath) : null;
+	}
+
+	async commitFiles(files) {
+		this.commits.push(files);
+		this.beforeCommit(this.commits.length);
+		for (const file of files) {
+			if (file.baseContent !== undefined && await this.readFile(file.path) !== file.baseContent) {
+				throw createConflictError(file.path);
+			}
+		}
+		files.forEach(file => this.files.set(file.path, file.content));
+		return files.map(file => file.path);
+	}
+}
+
+suite('ActivityStorage', () => {
+	test('append writes new entries against the content it read', async () => {
+		const storage = new MemoryStorage();
+		storage.files.set(SHARD, `${line('a')}\n`);
+
+		await storage.append(new Map([[SHARD, [line('b')]]]), 'Log activity');
+		assert.strictEqual(storage.commits.length, 1);
+		assert.strictEqual(storage.commits[0][0].baseContent, `${line('a')}\n`);
+		assert.strictEqual(storage.files.get(SHARD), `${line('a')}\n${line('b')}\n`);
+	});
+
+	test('append skips the commit when every entry is stored', async () => {
+		const storage = new MemoryStorage();
+		storage.files.set(SHARD, `${line('a')}\n`);
+
+		assert.strictEqual(await storage.append(new Map([[SHARD, [line('a')]]]), 'Log activity'), null);
+		assert.strictEqual(storage.commits.length, 0);
+	});
+
+	test('append reads again and merges after a 409', async () => {
+		const storage = new MemoryStorage();
+		storage.beforeCommit = count => {
+			if (count === 1) storage.files.set(SHARD, `${line('other')}\n`);
+		};
+
+		await storage.append(new Map([[SHARD, [line('a')]]]), 'Log activity');
+		assert.strictEqual(storage.commits.length, 2);
+		assert.strictEqual(storage.files.get(SHARD), `${line('other')}\n${line('a')}\n`);
+	});
+
+	test('append does not retry other errors', async () => {
+		const storage = new MemoryStorage();
+		storage.beforeCommit = () => {
+			const error = new Error('Server error');
+			error.status = 500;
+			throw error;
+		};
+
+		await assert.rejects(storage.append(new Map([[SHARD, [line('a')]]]), 'Log activity'), /Server error/);
+		assert.strictEqual(storage.commits.length, 1);
+	});
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const path = require('path');
+const CommitTracker = require('../src/commitTracker');
+
+const ROOT = path.resolve('/work/app');
+
+function createGlobalState() {
+	const values = {};
+	return {
+		get: (key, defaultValue) => (key in values ? values[key] : defaultValue),
+		update: async (key, value) => {
+			values[key] = value;
+		}
+	};
+}
+
+// Just enough of the git extension's Repository for one commit on top of another
+function createRepository(head) {
+	return {
+		rootUri: { fsPath: ROOT },
+		state: {
+			HEAD: head,
+			onDidChange: () => ({ dispose() {} })
+		},
+		commits: {},
+		getCommit: async function (sha) {
+			return this.commits[sha];
+		},
+		getConfig: async () => 'me@example.com'
+	};
+}
+
+suite('CommitTracker', () => {
+	let commits;
+	let globalState;
+	let tracker;
+	let repository;
+
+	setup(() => {
+		commits = [];
+		globalState = createGlobalState();
+		tracker = new CommitTracker(commit => commits.push(commit), globalState);
+		repository = createRepository({ name: 'main', commit: 'a1' });
+		tracker.watchRepository(repository);
+		tracker.getCommitStats = async () => ({ files: ['src/index.js'], insertions: 3, deletions: 1 });
+	});
+
+	const commit = async (sha, parent, authorEmail = 'me@example.com') => {
+		repository.commits[sha] = { parents: [parent], authorEmail, commitDate: new Date('2024-05-10T09:00:00Z') };
+		repository.state.HEAD = { name: 'main', commit: sha };
+		await tracker.handleStateChange(repository, tracker.repositories.get(ROOT));
+	};
+
+	test('a commit carries the ids of the saves of its files', async () => {
+		tracker.recordSave({ fsPath: path.join(ROOT, 'src/index.js') }, 'save-1');
+		tracker.recordSave({ fsPath: path.join(ROOT, 'src/index.js') }, 'save-2');
+		tracker.recordSave({ fsPath: path.join(ROOT, 'README.md') }, 'save-3');
+
+		await commit('b2', 'a1');
+		assert.strictEqual(commits.length, 1);
+		assert.deepStrictEqual(commits[0].saveIds, ['save-1', 'save-2']);
+		assert.strictEqual(commits[0].filesChanged, 1);
+
+		// Saves of files left out of the commit wait for the next one
+		tracker.getCommitStats = async () => ({ files: ['README.md'], insertions: 1, deletions: 0 });
+		await commit('c3', 'b2');
+		assert.deepStrictEqual(commits[1].saveIds, ['save-3']);
+	});
+
+	test('pending saves survive a reload', async () => {
+		tracker.recordSave({ fsPath: path.join(ROOT, 'src/index.js') }, 'save-1');
+
+		tracker = new CommitTracker(commit => commits.push(commit), globalState);
+		tracker.watchRepository(repository);
+		tracker.getCommitStats = async () => ({ files: ['src/index.js'], insertions: 3, deletions: 1 });
+		await commit('b2', 'a1');
+
+		assert.deepStrictEqual(commits[0].saveIds, ['save-1']);
+		assert.deepStrictEqual(globalState.get('activityTracker.pendingCommitSaves', {}), {});
+	});
+
+	test('saves outside any watched repository are not recorded', () => {
+		tracker.recordSave({ fsPath: path.resolve('/elsewhere/notes.md') }, 'save-1');
+		assert.strictEqual(tracker.pendingSaves.size, 0);
+	});
+
+	test('checkouts, pulls by others and branch switches are not commits', async () => {
+		repository.commits.x9 = { parents: ['zz'], authorEmail: 'me@example.com' };
+		repository.state.HEAD = { name: 'main', commit: 'x9' };
+		await tracker.handleStateChange(repository, tracker.repositories.get(ROOT));
+
+		await commit('b2', 'x9', 'someone@example.com');
+
+		repository.commits.c3 = { parents: ['b2'], authorEmail: 'me@example.com' };
+		repository.state.HEAD = { name: 'feature', commit: 'c3' };
+		await tracker.handleStateChange(repository, tracker.repositories.get(ROOT));
+
+		assert.deepStrictEqual(commits, []);
+	});
+});
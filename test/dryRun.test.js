@@ -0,0 +1,108 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DryRun = require('../src/dryRun');
+const DryRunStorage = require('../src/dryRunStorage');
+const ActivityStorage = require('../src/activityStorage');
+
+const line = id => JSON.stringify({ id, timestamp: '2024-05-10T09:00:00Z' });
+const SHARD = 'projects/app/2024/05.jsonl';
+
+// A storage that fails the test if anything is written to it
+class ReadOnlyStorage extends ActivityStorage {
+	constructor(files) {
+		super();
+		this.files = files;
+	}
+
+	get description() {
+		return 'read-only storage';
+	}
+
+	async readFile(filePath) {
+		return this.files[filePath] ?? null;
+	}
+
+	async commitFiles() {
+		throw new Error('A dry run wrote to the storage');
+	}
+}
+
+suite('DryRun', () => {
+	let stagingDir;
+	let dryRun;
+
+	setup(() => {
+		stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+		dryRun = new DryRun(stagingDir);
+		dryRun.reset();
+	});
+
+	teardown(() => {
+		dryRun.dispose();
+		fs.rmSync(stagingDir, { recursive: true, force: true });
+	});
+
+	test('stages only files that would change, as before and after copies', async () => {
+		const current = { 'README.md': 'hello', 'old.txt': 'old' };
+		const changed = await dryRun.stageCommit('octocat/activity', [
+			{ path: 'README.md', content: 'hello' },
+			{ path: 'README.md', content: 'ignored', createOnly: true },
+			{ path: 'old.txt', content: null },
+			{ path: 'missing.txt', content: null },
+			{ path: 'new/file.txt', content: 'a\nb\n' }
+		], 'Set up', async filePath => current[filePath] ?? null);
+
+		assert.deepStrictEqual(changed, ['delete old.txt', 'create new/file.txt (2 lines)']);
+		assert.strictEqual(fs.readFileSync(path.join(stagingDir, 'after', 'octocat', 'activity', 'new', 'file.txt'), 'utf8'), 'a\nb\n');
+		assert.strictEqual(fs.readFileSync(path.join(stagingDir, 'before', 'octocat', 'activity', 'old.txt'), 'utf8'), 'old');
+		assert.strictEqual(dryRun.readStaged('octocat/activity', 'old.txt'), null);
+		assert.strictEqual(dryRun.readStaged('octocat/activity', 'README.md'), undefined);
+		assert.match(fs.readFileSync(path.join(stagingDir, 'plan.log'), 'utf8'), /Would commit 2 files to octocat\/activity: Set up/);
+	});
+
+	test('later commits build on staged content and keep the original before', async () => {
+		const readCurrent = async () => 'one\n';
+		await dryRun.stageCommit('local', [{ path: 'log.txt', content: 'one\ntwo\n' }], 'First', readCurrent);
+		const changed = await dryRun.stageCommit('local', [{ path: 'log.txt', content: 'one\ntwo\nthree\n' }], 'Second', readCurrent);
+
+		assert.deepStrictEqual(changed, ['append 1 lines to log.txt']);
+		assert.strictEqual(dryRun.readOriginal('local', 'log.txt'), 'one\n');
+		assert.strictEqual(dryRun.readStaged('local', 'log.txt'), 'one\ntwo\nthree\n');
+	});
+
+	test('a commit that changes nothing is skipped', async () => {
+		assert.strictEqual(await dryRun.stageCommit('local', [{ path: 'a.txt', content: 'a' }], 'Noop', async () => 'a'), null);
+		assert.strictEqual(dryRun.staged.size, 0);
+	});
+
+	suite('DryRunStorage', () => {
+		test('appends are staged and never reach the storage', async () => {
+			const storage = new DryRunStorage(new ReadOnlyStorage({ [SHARD]: `${line('a')}\n` }), dryRun);
+
+			await storage.append(new Map([[SHARD, [line('a'), line('b')]]]), 'Log activity');
+			assert.strictEqual(await storage.readFile(SHARD), `${line('a')}\n${line('b')}\n`);
+		});
+
+		test('flushing the same queued entries again stages them once', async () => {
+			const storage = new DryRunStorage(new ReadOnlyStorage({}), dryRun);
+
+			await storage.append(new Map([[SHARD, [line('a')]]]), 'Log activity');
+			await storage.append(new Map([[SHARD, [line('a'), line('b')]]]), 'Log activity');
+			assert.strictEqual(dryRun.readStaged(storage.stagingName, SHARD), `${line('a')}\n${line('b')}\n`);
+			assert.strictEqual(dryRun.readOriginal(storage.stagingName, SHARD), null);
+		});
+
+		test('a storage that cannot be read yet counts as empty', async () => {
+			const unreadable = new ReadOnlyStorage({});
+			unreadable.readFile = async () => {
+				throw new Error('Not set up');
+			};
+			const storage = new DryRunStorage(unreadable, dryRun);
+
+			await storage.append(new Map([[SHARD, [line('a')]]]), 'Log activity');
+			assert.strictEqual(await storage.readFile(SHARD), `${line('a')}\n`);
+		});
+	});
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const GistStorage = require('../src/gistStorage');
+
+// Answers gists.get from a fixed listing and records gists.update calls
+function createGithubApi(files, truncated = false) {
+	const updates = [];
+	const octokit = {
+		gists: {
+			get: async () => ({ data: { files, truncated } }),
+			update: async params => {
+				updates.push(params.files);
+				return { data: {} };
+			}
+		}
+	};
+	return { octokit, updates };
+}
+
+const listed = (name, content) => ({ [name]: { filename: name, content, truncated: false } });
+
+suite('GistStorage', () => {
+	test('reads and writes files by their flattened name', async () => {
+		const githubApi = createGithubApi(listed('projects__app__2024__05.jsonl', 'a\n'));
+		const storage = new GistStorage(githubApi, 'abc');
+
+		assert.strictEqual(await storage.readFile('projects/app/2024/05.jsonl'), 'a\n');
+		assert.strictEqual(await storage.readFile('projects/app/2024/06.jsonl'), null);
+
+		await storage.commitFiles([{ path: 'projects/app/2024/05.jsonl', content: 'a\nb\n', baseContent: 'a\n' }], 'Log activity');
+		assert.deepStrictEqual(githubApi.updates, [{ 'projects__app__2024__05.jsonl': { content: 'a\nb\n' } }]);
+	});
+
+	test('a stale base content is a conflict', async () => {
+		const githubApi = createGithubApi(listed('log.jsonl', 'a\nother\n'));
+		const storage = new GistStorage(githubApi, 'abc');
+
+		await assert.rejects(
+			storage.commitFiles([{ path: 'log.jsonl', content: 'a\nb\n', baseContent: 'a\n' }], 'Log activity'),
+			error => error.status === 409
+		);
+		assert.deepStrictEqual(githubApi.updates, []);
+	});
+
+	test('refuses to treat a file left out of a cut-off listing as new', async () => {
+		const files = {};
+		for (let i = 0; i < 300; i++) Object.assign(files, listed(`shard-${i}.jsonl`, 'x\n'));
+		const githubApi = createGithubApi(files);
+		const storage = new GistStorage(githubApi, 'abc');
+
+		assert.strictEqual(await storage.readFile('shard-0.jsonl'), 'x\n');
+		await assert.rejects(storage.readFile('unlisted.jsonl'), /more files than the API lists/);
+		await assert.rejects(
+			storage.commitFiles([{ path: 'unlisted.jsonl', content: 'new\n', baseContent: null }], 'Log activity'),
+			/more files than the API lists/
+		);
+		assert.deepStrictEqual(githubApi.updates, []);
+	});
+
+	test('also trusts the truncated flag of the gist', async () => {
+		const storage = new GistStorage(createGithubApi(listed('a.jsonl', 'x\n'), true), 'abc');
+		await assert.rejects(storage.readFile('b.jsonl'), /more files than the API lists/);
+	});
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const GithubAPI = require('../src/githubAPI');
+const { gitBlobSha } = require('../src/githubAPI');
+
+suite('GithubAPI', () => {
+	test('talks to github.com without an enterprise URL', () => {
+		const api = new GithubAPI();
+		assert.strictEqual(api.isEnterprise, false);
+		assert.strictEqual(api.apiBaseUrl, 'https://api.github.com');
+		assert.strictEqual(
+			api.getRawUrl('octocat', 'activity-tracker', 'main', 'visualizations'),
+			'https://raw.githubusercontent.com/octocat/activity-tracker/main/visualizations'
+		);
+	});
+
+	test('uses the enterprise host for the API and raw files', () => {
+		const api = new GithubAPI({ enterpriseUrl: ' https://github.example.com/ ' });
+		assert.strictEqual(api.isEnterprise, true);
+		assert.strictEqual(api.apiBaseUrl, 'https://github.example.com/api/v3');
+		assert.strictEqual(
+			api.getRawUrl('octocat', 'activity-tracker', 'main', 'visualizations'),
+			'https://github.example.com/octocat/activity-tracker/raw/main/visualizations'
+		);
+	});
+
+	test('switching servers drops the old sign-in', () => {
+		const api = new GithubAPI();
+		api.octokit = {};
+		api.username = 'octocat';
+		api.defaultBranches.set('activity-tracker', 'main');
+
+		api.setEnterpriseUrl(' ');
+		assert.strictEqual(api.username, 'octocat');
+
+		api.setEnterpriseUrl('https://github.example.com');
+		assert.strictEqual(api.octokit, null);
+		assert.strictEqual(api.username, null);
+		assert.strictEqual(api.defaultBranches.size, 0);
+	});
+
+	test('gitBlobSha matches git hash-object', () => {
+		// printf 'hello\n' | git hash-object --stdin
+		assert.strictEqual(gitBlobSha('hello\n'), 'ce013625030ba8dba906f756967f9e9ca394464a');
+	});
+});
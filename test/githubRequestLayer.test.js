@@ -0,0 +1,31 @@
+const assert = require('assert');
+const GithubRequestLayer = require('../src/githubRequestLayer');
+
+const rateLimitError = (status, message = 'Forbidden') => Object.assign(new Error(message), { status });
+
+suite('GithubRequestLayer', () => {
+	const layer = new GithubRequestLayer();
+
+	test('other errors are not rate limits', () => {
+		assert.strictEqual(layer.getRateLimitWait(rateLimitError(404), {}, 0), null);
+		assert.strictEqual(layer.getRateLimitWait(rateLimitError(403, 'Resource not accessible by integration'), {}, 0), null);
+	});
+
+	test('waits as long as retry-after asks', () => {
+		assert.strictEqual(layer.getRateLimitWait(rateLimitError(403), { 'retry-after': '30' }, 0), 30000);
+	});
+
+	test('waits for the reset when the budget is used up', () => {
+		const resetAt = Math.floor(Date.now() / 1000) + 60;
+		const wait = layer.getRateLimitWait(rateLimitError(403), {
+			'x-ratelimit-remaining': '0',
+			'x-ratelimit-reset': String(resetAt)
+		}, 0);
+		assert.ok(wait > 55000 && wait <= 61000, `unexpected wait ${wait}`);
+	});
+
+	test('backs off from secondary limits, longer on every attempt', () => {
+		assert.strictEqual(layer.getRateLimitWait(rateLimitError(429), {}, 0), 60000);
+		assert.strictEqual(layer.getRateLimitWait(rateLimitError(403, 'You have exceeded a secondary rate limit'), {}, 1), 120000);
+	});
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { diffLines, splitLines } = require('../src/lineDiff');
+
+suite('lineDiff', () => {
+	test('splitLines ignores a trailing newline', () => {
+		assert.deepStrictEqual(splitLines('a\nb\n'), ['a', 'b']);
+		assert.deepStrictEqual(splitLines('a\r\nb'), ['a', 'b']);
+		assert.deepStrictEqual(splitLines(''), []);
+	});
+
+	test('identical content has no changes', () => {
+		const stats = diffLines('a\nb\nc\n', 'a\nb\nc\n');
+		assert.strictEqual(stats.addedLines, 0);
+		assert.strictEqual(stats.removedLines, 0);
+		assert.strictEqual(stats.modifiedLines, 0);
+		assert.strictEqual(stats.totalLines, 3);
+		assert.deepStrictEqual(stats.hunks, []);
+	});
+
+	test('a replaced line counts as modified', () => {
+		const stats = diffLines('a\nb\nc\n', 'a\nB\nc\n');
+		assert.strictEqual(stats.modifiedLines, 1);
+		assert.strictEqual(stats.addedLines, 0);
+		assert.strictEqual(stats.removedLines, 0);
+		assert.deepStrictEqual(stats.hunks, [{ oldStart: 2, oldLines: 1, newStart: 2, newLines: 1 }]);
+	});
+
+	test('insertions and deletions are counted separately', () => {
+		const added = diffLines('a\nc\n', 'a\nb\nc\n');
+		assert.strictEqual(added.addedLines, 1);
+		assert.strictEqual(added.modifiedLines, 0);
+
+		const removed = diffLines('a\nb\nc\n', 'a\nc\n');
+		assert.strictEqual(removed.removedLines, 1);
+		assert.strictEqual(removed.modifiedLines, 0);
+	});
+
+	test('separate edits produce separate hunks', () => {
+		const oldContent = ['1', '2', '3', '4', '5', '6'].join('\n');
+		const newContent = ['1', 'two', '3', '4', 'five', '6', '7'].join('\n');
+		const stats = diffLines(oldContent, newContent);
+		assert.strictEqual(stats.hunks.length, 3);
+		assert.strictEqual(stats.modifiedLines, 2);
+		assert.strictEqual(stats.addedLines, 1);
+	});
+
+	test('one edit in a large file only counts that line', () => {
+		const lines = Array.from({ length: 1000 }, (_, i) => `line ${i}`);
+		const edited = lines.slice();
+		edited[500] = 'changed';
+		const stats = diffLines(lines.join('\n'), edited.join('\n'));
+		assert.strictEqual(stats.modifiedLines, 1);
+		assert.strictEqual(stats.addedLines + stats.removedLines, 0);
+	});
+
+	test('falls back to a single hunk past the edit distance limit', () => {
+		const oldContent = ['a', 'b', 'c', 'd'].join('\n');
+		const newContent = ['w', 'x', 'y'].join('\n');
+		const stats = diffLines(oldContent, newContent, { maxEditDistance: 1 });
+		assert.deepStrictEqual(stats.hunks, [{ oldStart: 1, oldLines: 4, newStart: 1, newLines: 3 }]);
+		assert.strictEqual(stats.modifiedLines, 3);
+		assert.strictEqual(stats.removedLines, 1);
+	});
+});
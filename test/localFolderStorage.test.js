@@ -0,0 +1,74 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalFolderStorage = require('../src/localFolderStorage');
+
+const line = id => JSON.stringify({ id, timestamp: '2024-05-10T09:00:00Z' });
+const SHARD = 'projects/app/2024/05.jsonl';
+
+suite('LocalFolderStorage', () => {
+	let rootPath;
+	let storage;
+
+	setup(() => {
+		rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'activity-storage-'));
+		storage = new LocalFolderStorage(rootPath);
+	});
+
+	teardown(() => {
+		fs.rmSync(rootPath, { recursive: true, force: true });
+	});
+
+	test('append creates the file and its folders', async () => {
+		await storage.append(new Map([[SHARD, [line('a'), line('b')]]]), 'Log activity');
+		assert.strictEqual(await storage.readFile(SHARD), `${line('a')}\n${line('b')}\n`);
+	});
+
+	test('append merges with entries another window already stored', async () => {
+		fs.mkdirSync(path.dirname(path.join(rootPath, SHARD)), { recursive: true });
+		fs.writeFileSync(path.join(rootPath, SHARD), line('a'));
+
+		await storage.append(new Map([[SHARD, [line('a'), line('b')]]]), 'Log activity');
+		await storage.append(new Map([[SHARD, [line('b')]]]), 'Log activity');
+		assert.strictEqual(await storage.readFile(SHARD), `${line('a')}\n${line('b')}\n`);
+	});
+
+	test('commitFiles writes, skips createOnly files that exist and deletes', async () => {
+		await storage.commitFiles([
+			{ path: 'README.md', content: 'first' },
+			{ path: 'old.txt', content: 'old' }
+		], 'Set up');
+		await storage.commitFiles([
+			{ path: 'README.md', content: 'second', createOnly: true },
+			{ path: 'old.txt', content: null }
+		], 'Update');
+
+		assert.strictEqual(await storage.readFile('README.md'), 'first');
+		assert.strictEqual(await storage.readFile('old.txt'), null);
+	});
+
+	test('commitFiles fails with a conflict when the base content is stale', async () => {
+		await storage.commitFiles([{ path: SHARD, content: `${line('a')}\n` }], 'Log activity');
+
+		await assert.rejects(
+			storage.commitFiles([{ path: SHARD, content: `${line('b')}\n`, baseContent: null }], 'Log activity'),
+			error => error.status === 409
+		);
+		assert.strictEqual(await storage.readFile(SHARD), `${line('a')}\n`);
+
+		await storage.commitFiles([{ path: SHARD, content: `${line('a')}\n${line('b')}\n`, baseContent: `${line('a')}\n` }], 'Log activity');
+		assert.strictEqual(await storage.readFile(SHARD), `${line('a')}\n${line('b')}\n`);
+	});
+
+	test('refuses paths outside the folder', async () => {
+		await assert.rejects(storage.readFile('../outside.txt'), /is outside/);
+	});
+
+	test('refuses to write without a folder configured', async () => {
+		const unconfigured = new LocalFolderStorage('');
+		await assert.rejects(unconfigured.setup(), /No folder configured/);
+		await assert.rejects(unconfigured.append(new Map([[SHARD, [line('a')]]]), 'Log activity'), /No folder configured/);
+		await assert.rejects(unconfigured.commitFiles([{ path: SHARD, content: '' }], 'Log activity'), /No folder configured/);
+	});
+});
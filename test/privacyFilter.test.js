@@ -0,0 +1,94 @@
+const assert = require('assert');
+const path = require('path');
+const PrivacyFilter = require('../src/privacyFilter');
+
+const uriOf = fsPath => ({ fsPath: path.resolve(fsPath) });
+
+// Stands in for the workspace folder lookup, which needs an open workspace
+function createFilter(options, relativePath = null) {
+	const filter = new PrivacyFilter(options);
+	filter.getRelativePath = () => relativePath;
+	return filter;
+}
+
+suite('PrivacyFilter', () => {
+	test('excludes secrets by default', () => {
+		const filter = createFilter();
+		assert.ok(filter.isExcluded(uriOf('/work/app/.env')));
+		assert.ok(filter.isExcluded(uriOf('/work/app/.env.production')));
+		assert.ok(filter.isExcluded(uriOf('/work/app/config/secrets/db.json')));
+		assert.ok(filter.isExcluded(uriOf('/home/me/.ssh/id_rsa.pub')));
+		assert.ok(!filter.isExcluded(uriOf('/work/app/src/env.js')));
+	});
+
+	test('matches custom globs against the workspace-relative path', () => {
+		const filter = createFilter({ excludeGlobs: ['clients/**'] }, 'clients/acme/report.md');
+		assert.ok(filter.isExcluded(uriOf('/work/app/clients/acme/report.md')));
+	});
+
+	test('the denylist wins over the allowlist', () => {
+		const filter = createFilter({ projectAllowlist: ['app', 'site'], projectDenylist: ['site'] });
+		assert.ok(filter.isProjectAllowed('app'));
+		assert.ok(!filter.isProjectAllowed('site'));
+		assert.ok(!filter.isProjectAllowed('other'));
+		assert.ok(createFilter().isProjectAllowed('other'));
+	});
+
+	test('shouldTrack needs an allowed project and a file that is not excluded', () => {
+		const filter = createFilter({ projectDenylist: ['secret'] });
+		assert.ok(filter.shouldTrack(uriOf('/work/app/index.js'), 'app'));
+		assert.ok(!filter.shouldTrack(uriOf('/work/secret/index.js'), 'secret'));
+		assert.ok(!filter.shouldTrack(uriOf('/work/app/.env'), 'app'));
+	});
+
+	suite('redactPath', () => {
+		test('records the workspace-relative path by default', () => {
+			const filter = createFilter({}, 'src/app.ts');
+			assert.strictEqual(filter.redactPath(uriOf('/work/app/src/app.ts')), 'src/app.ts');
+		});
+
+		test('falls back to the file name outside a workspace', () => {
+			const filter = createFilter({});
+			assert.strictEqual(filter.redactPath(uriOf('/tmp/scratch/notes.md')), 'notes.md');
+		});
+
+		test('basename keeps only the file name', () => {
+			const filter = createFilter({ pathRedaction: 'basename' }, 'src/app.ts');
+			assert.strictEqual(filter.redactPath(uriOf('/work/app/src/app.ts')), 'app.ts');
+		});
+
+		test('hashed keeps the extension and differs per path', () => {
+			const first = createFilter({ pathRedaction: 'hashed' }, 'src/app.ts').redactPath(uriOf('/work/app/src/app.ts'));
+			const second = createFilter({ pathRedaction: 'hashed' }, 'lib/app.ts').redactPath(uriOf('/work/app/lib/app.ts'));
+
+			assert.match(first, /^[0-9a-f]{16}\.ts$/);
+			assert.notStrictEqual(first, second);
+		});
+
+		test('an unknown mode falls back to relative paths', () => {
+			assert.strictEqual(createFilter({ pathRedaction: 'full' }).pathRedaction, 'relative');
+		});
+	});
+
+	suite('redactBranch', () => {
+		test('keeps the branch name by default', () => {
+			assert.strictEqual(createFilter().redactBranch('client-acme/login'), 'client-acme/login');
+		});
+
+		test('leaves the branch out under basename', () => {
+			assert.strictEqual(createFilter({ pathRedaction: 'basename' }).redactBranch('client-acme/login'), null);
+		});
+
+		test('hashes the branch name under hashed', () => {
+			const filter = createFilter({ pathRedaction: 'hashed' });
+			const hashed = filter.redactBranch('client-acme/login');
+			assert.match(hashed, /^[0-9a-f]{16}$/);
+			assert.strictEqual(filter.redactBranch('client-acme/login'), hashed);
+			assert.notStrictEqual(filter.redactBranch('main'), hashed);
+		});
+
+		test('no branch stays no branch', () => {
+			assert.strictEqual(createFilter({ pathRedaction: 'hashed' }).redactBranch(null), null);
+		});
+	});
+});
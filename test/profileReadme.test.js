@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { applyProfileSection, README_START_MARKER, README_END_MARKER } = require('../src/profileReadme');
+
+const block = section => `${README_START_MARKER}\n${section}\n${README_END_MARKER}`;
+
+suite('profileReadme', () => {
+	test('replaces only what is between the markers', () => {
+		const readme = `# Hi\r\n\r\nIntro  \n\n${block('old charts')}\n\nFooter without newline`;
+		assert.strictEqual(
+			applyProfileSection(readme, 'new charts', 'top'),
+			`# Hi\r\n\r\nIntro  \n\n${block('new charts')}\n\nFooter without newline`
+		);
+	});
+
+	test('an empty README gets just the section', () => {
+		assert.strictEqual(applyProfileSection(null, 'charts'), `${block('charts')}\n`);
+		assert.strictEqual(applyProfileSection('  \n', 'charts'), `${block('charts')}\n`);
+	});
+
+	test('inserts at the requested position', () => {
+		const readme = 'Welcome\n# Hello\n\nAbout me\n';
+		assert.strictEqual(applyProfileSection(readme, 'charts', 'top'), `${block('charts')}\n\n${readme}`);
+		assert.strictEqual(applyProfileSection(readme, 'charts', 'bottom'), `${readme}\n${block('charts')}\n`);
+		assert.strictEqual(
+			applyProfileSection(readme, 'charts', 'after-heading'),
+			`Welcome\n# Hello\n\n${block('charts')}\n\nAbout me\n`
+		);
+	});
+
+	test('after-heading falls back to the bottom without a heading', () => {
+		assert.strictEqual(applyProfileSection('No heading', 'charts', 'after-heading'), `No heading\n\n${block('charts')}\n`);
+	});
+
+	test('applying the same section twice changes nothing', () => {
+		const once = applyProfileSection('# Hello\n', 'charts', 'after-heading');
+		assert.strictEqual(applyProfileSection(once, 'charts', 'after-heading'), once);
+	});
+
+	test('refuses a README with only one marker', () => {
+		assert.throws(() => applyProfileSection(`# Hello\n${README_START_MARKER}\n`, 'charts'), /incomplete activity section/);
+		assert.throws(() => applyProfileSection(`${README_END_MARKER}\n${README_START_MARKER}`, 'charts'), /incomplete activity section/);
+	});
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const SessionTracker = require('../src/sessionTracker');
+
+const MINUTE = 60 * 1000;
+const documentAt = (fileName, scheme = 'file') => ({ fileName, languageId: 'javascript', uri: { scheme, fsPath: fileName } });
+
+suite('SessionTracker', () => {
+	const realNow = Date.now;
+	let now;
+	let sessions;
+	let tracker;
+
+	setup(() => {
+		now = Date.parse('2024-05-10T09:00:00Z');
+		Date.now = () => now;
+		sessions = [];
+		tracker = new SessionTracker(session => sessions.push(session), { idleTimeout: 5 * MINUTE });
+	});
+
+	teardown(() => {
+		tracker.dispose();
+		Date.now = realNow;
+	});
+
+	const activityAfter = (ms, document) => {
+		now += ms;
+		tracker.recordActivity(document);
+	};
+
+	test('activity within the idle timeout extends one session', () => {
+		const document = documentAt('/work/app.js');
+		tracker.recordActivity(document);
+		activityAfter(4 * MINUTE, document);
+		activityAfter(4 * MINUTE, document);
+		tracker.endSession(now);
+
+		assert.strictEqual(sessions.length, 1);
+		assert.strictEqual(sessions[0].durationMs, 8 * MINUTE);
+		assert.strictEqual(sessions[0].start, '2024-05-10T09:00:00.000Z');
+	});
+
+	test('an idle gap ends the session at its last activity', () => {
+		const document = documentAt('/work/app.js');
+		tracker.recordActivity(document);
+		activityAfter(2 * MINUTE, document);
+		activityAfter(30 * MINUTE, document);
+
+		assert.strictEqual(sessions.length, 1);
+		assert.strictEqual(sessions[0].durationMs, 2 * MINUTE);
+		assert.strictEqual(sessions[0].end, '2024-05-10T09:02:00.000Z');
+		assert.strictEqual(tracker.currentSession.start, now);
+	});
+
+	test('switching files splits the session without a gap', () => {
+		tracker.recordActivity(documentAt('/work/a.js'));
+		activityAfter(3 * MINUTE, documentAt('/work/b.js'));
+		activityAfter(2 * MINUTE, documentAt('/work/b.js'));
+		tracker.endSession(now);
+
+		assert.deepStrictEqual(sessions.map(session => [session.fileName, session.durationMs]), [
+			['/work/a.js', 3 * MINUTE],
+			['/work/b.js', 2 * MINUTE]
+		]);
+		assert.strictEqual(sessions[0].end, sessions[1].start);
+	});
+
+	test('sessions shorter than the minimum are dropped', () => {
+		tracker.recordActivity(documentAt('/work/a.js'));
+		activityAfter(500, documentAt('/work/b.js'));
+
+		assert.deepStrictEqual(sessions, []);
+	});
+
+	test('virtual documents do not count', () => {
+		tracker.recordActivity(documentAt('extension-output-1', 'output'));
+		assert.strictEqual(tracker.currentSession, null);
+	});
+});
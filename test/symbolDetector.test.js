@@ -0,0 +1,95 @@
+const assert = require('assert');
+const { isParseableLanguage, extractSymbols, detectSymbolChanges } = require('../src/symbolDetector');
+
+suite('symbolDetector', () => {
+	test('only JavaScript and TypeScript are parsed', () => {
+		assert.ok(isParseableLanguage('javascript'));
+		assert.ok(isParseableLanguage('typescriptreact'));
+		assert.ok(!isParseableLanguage('python'));
+	});
+
+	test('finds functions, classes, methods and imports', () => {
+		const symbols = extractSymbols([
+			"import fs from 'fs';",
+			"const path = require('path');",
+			'function load() {}',
+			'const save = () => {};',
+			'exports.remove = function () {};',
+			'class Store {',
+			'    get() {}',
+			'    #reset() {}',
+			'    handle = () => {};',
+			'}'
+		].join('\n'), 'javascript');
+
+		assert.deepStrictEqual(Array.from(symbols.functions.keys()).sort(),
+			['Store.#reset', 'Store.get', 'Store.handle', 'load', 'remove', 'save']);
+		assert.deepStrictEqual(Array.from(symbols.classes.keys()), ['Store']);
+		assert.deepStrictEqual(Array.from(symbols.imports.keys()).sort(), ['fs', 'path']);
+	});
+
+	test('reports added, modified and removed symbols', () => {
+		const before = [
+			"const a = require('a');",
+			'function keep() { return 1; }',
+			'function edit() { return 1; }',
+			'function drop() {}'
+		].join('\n');
+		const after = [
+			"const b = require('b');",
+			'function keep() { return 1; }',
+			'function edit() { return 2; }',
+			'function fresh() {}'
+		].join('\n');
+
+		const changes = detectSymbolChanges(before, after, 'javascript');
+		assert.deepStrictEqual(changes.functions, { added: ['fresh'], modified: ['edit'], removed: ['drop'] });
+		assert.deepStrictEqual(changes.imports, { added: ['b'], modified: [], removed: ['a'] });
+		assert.deepStrictEqual(changes.classes, { added: [], modified: [], removed: [] });
+	});
+
+	test('qualifies nested declarations by what encloses them', () => {
+		const symbols = extractSymbols([
+			'function Form() {',
+			'    const handleChange = () => {};',
+			'    return handleChange;',
+			'}',
+			'const List = () => {',
+			'    const handleChange = () => {};',
+			'    function render() {}',
+			'};',
+			'class Store {',
+			'    load() {',
+			'        const parse = () => {};',
+			'    }',
+			'}',
+			'items.forEach(() => {',
+			'    function visit() {}',
+			'});'
+		].join('\n'), 'javascript');
+
+		assert.deepStrictEqual(Array.from(symbols.functions.keys()).sort(), [
+			'Form', 'Form.handleChange', 'List', 'List.handleChange', 'List.render', 'Store.load', 'Store.load.parse', 'visit'
+		]);
+	});
+
+	test('an edit inside one nested function is not reported for its namesake', () => {
+		const before = 'function A() { const h = () => 1; }\nfunction B() { const h = () => 1; }';
+		const after = 'function A() { const h = () => 1; }\nfunction B() { const h = () => 2; }';
+
+		const changes = detectSymbolChanges(before, after, 'javascript');
+		assert.deepStrictEqual(changes.functions, { added: [], modified: ['B', 'B.h'], removed: [] });
+	});
+
+	test('parses TypeScript syntax', () => {
+		const symbols = extractSymbols('interface Shape { area(): number }\nclass Circle implements Shape { area(): number { return 1; } }', 'typescript');
+		assert.deepStrictEqual(Array.from(symbols.classes.keys()), ['Circle']);
+		assert.deepStrictEqual(Array.from(symbols.functions.keys()), ['Circle.area']);
+	});
+
+	test('recovers from errors the parser can skip and throws on the rest', () => {
+		const symbols = extractSymbols('function done() {}\nconst x;', 'javascript');
+		assert.ok(symbols.functions.has('done'));
+		assert.throws(() => extractSymbols('function done() {}\nlet x = ;', 'javascript'));
+	});
+});
@@ -0,0 +1,209 @@
+const assert = require('assert');
+const { renderCharts, aggregateActivity, addToDailyTotals, computeStreaks, computeStreaksFromTotals, mergeShardLines, normalizeEntry, ENTRY_SCHEMA_VERSION } = require('../src/visualization');
+
+const save = timestamp => ({ timestamp, timezoneOffset: 0 });
+const session = (timestamp, minutes) => ({ type: 'session', timestamp, timezoneOffset: 0, durationMs: minutes * 60000 });
+
+suite('visualization', () => {
+	suite('aggregateActivity', () => {
+		const byProject = entry => entry.project;
+		const inProject = (project, entry) => ({ ...entry, project });
+
+		test('counts saves while no session was ever recorded', () => {
+			const { totals, unit, describe } = aggregateActivity([
+				inProject('app', save('2024-05-01T09:00:00Z')),
+				inProject('app', save('2024-05-02T09:00:00Z')),
+				inProject('site', save('2024-05-02T10:00:00Z'))
+			], byProject);
+			assert.strictEqual(unit, 'saves');
+			assert.deepStrictEqual(Array.from(totals), [['app', 2], ['site', 1]]);
+			assert.strictEqual(describe('app'), '2 saves');
+		});
+
+		test('days with sessions count hours and keep older save-only days on the chart', () => {
+			const { totals, unit, describe } = aggregateActivity([
+				// Two saves in a one-hour session: half an hour per save
+				inProject('app', session('2024-05-10T09:00:00Z', 60)),
+				inProject('app', save('2024-05-10T09:10:00Z')),
+				inProject('app', save('2024-05-10T09:20:00Z')),
+				inProject('legacy', save('2024-04-01T09:00:00Z')),
+				inProject('legacy', save('2024-04-02T09:00:00Z')),
+				inProject('legacy', save('2024-04-03T09:00:00Z'))
+			], byProject);
+			assert.strictEqual(unit, 'hours');
+			assert.strictEqual(totals.get('app'), 1);
+			assert.strictEqual(totals.get('legacy'), 1.5);
+			assert.match(describe('legacy'), /^3 saves$/);
+			assert.match(describe(['app', 'legacy']), /hour.* \+ 3 saves$/);
+		});
+
+		test('commits are left out', () => {
+			const { totals } = aggregateActivity([
+				inProject('app', save('2024-05-01T09:00:00Z')),
+				inProject('app', { type: 'commit', timestamp: '2024-05-01T10:00:00Z' })
+			], byProject);
+			assert.strictEqual(totals.get('app'), 1);
+		});
+	});
+
+	suite('computeStreaks', () => {
+		// Friday, so the week so far runs from Sunday 2024-05-05
+		const now = '2024-05-10T12:00:00Z';
+		const activity = [
+			save('2024-05-01T09:00:00Z'),
+			save('2024-05-08T09:00:00Z'),
+			save('2024-05-09T09:00:00Z'),
+			save('2024-05-10T09:00:00Z'),
+			session('2024-05-10T10:00:00Z', 45)
+		];
+
+		test('counts the current and longest streak', () => {
+			const stats = computeStreaks(activity, {}, { now, timezoneOffset: 0 });
+			assert.strictEqual(stats.currentStreak, 3);
+			assert.strictEqual(stats.longestStreak, 3);
+			assert.strictEqual(stats.activeToday, true);
+			assert.strictEqual(stats.streakAtRisk, false);
+		});
+
+		test('keeps the streak alive until the day without activity ends', () => {
+			const stats = computeStreaks(activity, {}, { now: '2024-05-11T12:00:00Z', timezoneOffset: 0 });
+			assert.strictEqual(stats.currentStreak, 3);
+			assert.strictEqual(stats.streakAtRisk, true);
+
+			const broken = computeStreaks(activity, {}, { now: '2024-05-12T12:00:00Z', timezoneOffset: 0 });
+			assert.strictEqual(broken.currentStreak, 0);
+			assert.strictEqual(broken.longestStreak, 3);
+		});
+
+		test('days follow the offset stored with each entry', () => {
+			// 23:30 UTC on the 10th is already the 11th at UTC+1
+			const stats = computeStreaks([{ timestamp: '2024-05-10T23:30:00Z', timezoneOffset: -60 }], {}, {
+				now: '2024-05-11T08:00:00Z',
+				timezoneOffset: -60
+			});
+			assert.strictEqual(stats.activeToday, true);
+		});
+
+		test('commits do not count as saves', () => {
+			const stats = computeStreaks([
+				...activity,
+				{ type: 'commit', timestamp: '2024-05-10T11:00:00Z', timezoneOffset: 0 }
+			], {}, { now, timezoneOffset: 0 });
+			assert.deepStrictEqual(stats.today, { minutes: 45, saves: 1 });
+		});
+
+		test('reports progress towards the goals', () => {
+			const minutes = computeStreaks(activity, { daily: 30, weekly: 60 }, { now, timezoneOffset: 0 });
+			assert.strictEqual(minutes.unit, 'minutes');
+			assert.deepStrictEqual(minutes.daily, { target: 30, value: 45, met: true });
+			assert.deepStrictEqual(minutes.weekly, { target: 60, value: 45, met: false });
+
+			const saves = computeStreaks(activity, { daily: 2, unit: 'saves' }, { now, timezoneOffset: 0 });
+			assert.deepStrictEqual(saves.daily, { target: 2, value: 1, met: false });
+			assert.deepStrictEqual(saves.week, { minutes: 45, saves: 3 });
+			assert.strictEqual(saves.weekly, null);
+		});
+
+		test('totals kept up to date entry by entry give the same result', () => {
+			const days = activity.slice(0, 2).reduce(addToDailyTotals, new Map());
+			activity.slice(2).forEach(entry => addToDailyTotals(days, entry));
+			assert.deepStrictEqual(
+				computeStreaksFromTotals(days, { daily: 30 }, { now, timezoneOffset: 0 }),
+				computeStreaks(activity, { daily: 30 }, { now, timezoneOffset: 0 })
+			);
+		});
+	});
+
+	suite('mergeShardLines', () => {
+		const line = id => JSON.stringify({ id, timestamp: '2024-05-10T09:00:00Z' });
+
+		test('appends only entries the content does not hold yet', () => {
+			const existing = `${line('a')}\n${line('b')}\n`;
+			assert.strictEqual(mergeShardLines(existing, [line('b'), line('c'), line('c')]), `${existing}${line('c')}\n`);
+		});
+
+		test('returns the content unchanged when nothing is new', () => {
+			const existing = `${line('a')}\n`;
+			assert.strictEqual(mergeShardLines(existing, [line('a')]), existing);
+		});
+
+		test('starts a new line after content without a trailing newline', () => {
+			assert.strictEqual(mergeShardLines(line('a'), [line('b')]), `${line('a')}\n${line('b')}\n`);
+			assert.strictEqual(mergeShardLines(null, [line('a')]), `${line('a')}\n`);
+		});
+	});
+
+	suite('normalizeEntry', () => {
+		test('fills in the fields a version 1 entry lacks', () => {
+			const entry = { file: 'src/app.ts', project: 'app', timestamp: '2024-05-10T09:00:00Z', changes: {} };
+			assert.deepStrictEqual(normalizeEntry(entry), {
+				...entry,
+				schemaVersion: ENTRY_SCHEMA_VERSION,
+				fileExtension: '.ts',
+				language: 'typescript',
+				branch: null,
+				workspaceType: 'unknown',
+				vscodeVersion: null
+			});
+		});
+
+		test('guesses "other" for unknown extensions and files without one', () => {
+			assert.strictEqual(normalizeEntry({ file: 'Makefile' }).language, 'other');
+			assert.strictEqual(normalizeEntry({ file: 'notes.xyz' }).language, 'other');
+		});
+
+		test('leaves current entries as they are', () => {
+			const entry = { schemaVersion: ENTRY_SCHEMA_VERSION, file: 'a.py', language: 'python', branch: null };
+			assert.strictEqual(normalizeEntry(entry), entry);
+		});
+	});
+
+	suite('heatmap', () => {
+		const cellsOf = svg => Array.from(svg.matchAll(/<rect[^>]* x="(\d+)" y="(\d+)" fill="([^"]+)"[^>]*><title>(.*?) on (\d{4}-\d{2}-\d{2})<\/title>/g))
+			.map(([, x, y, fill, label, date]) => ({ x: Number(x), y: Number(y), fill, label, date }));
+		const render = async activity => (await renderCharts(activity, { endDate: '2024-05-11T12:00:00Z' }))['heatmap.svg'];
+
+		// Saturday, so the calendar ends on a full week
+		const activity = [
+			save('2024-05-10T09:00:00Z'),
+			save('2024-05-09T09:00:00Z'),
+			save('2024-05-09T10:00:00Z'),
+			save('2023-12-25T09:00:00Z')
+		];
+		let cells;
+
+		suiteSetup(async function () {
+			// The first render loads d3 and svgdom
+			this.timeout(20000);
+			cells = cellsOf(await render(activity));
+		});
+
+		test('covers the trailing year from a Sunday to the end date', () => {
+			assert.strictEqual(cells.length, 53 * 7);
+			assert.strictEqual(cells[0].date, '2023-05-07');
+			assert.strictEqual(cells[cells.length - 1].date, '2024-05-11');
+		});
+
+		test('places each day by week column and weekday row', () => {
+			const cellOn = date => cells.find(cell => cell.date === date);
+			assert.deepStrictEqual([cellOn('2023-05-07').x, cellOn('2023-05-07').y], [32, 20]);
+			// Friday of the last week
+			assert.deepStrictEqual([cellOn('2024-05-10').x, cellOn('2024-05-10').y], [32 + 52 * 13, 20 + 5 * 13]);
+			assert.deepStrictEqual([cellOn('2023-12-25').x, cellOn('2023-12-25').y], [32 + 33 * 13, 20 + 13]);
+		});
+
+		test('labels and colors active days, darker for more activity', () => {
+			const cellOn = date => cells.find(cell => cell.date === date);
+			const empty = cellOn('2024-05-08').fill;
+			assert.strictEqual(cellOn('2024-05-08').label, 'No saves');
+			assert.strictEqual(cellOn('2024-05-10').label, '1 save');
+			assert.strictEqual(cellOn('2024-05-09').label, '2 saves');
+			assert.notStrictEqual(cellOn('2024-05-10').fill, empty);
+			assert.notStrictEqual(cellOn('2024-05-09').fill, cellOn('2024-05-10').fill);
+		});
+
+		test('does not depend on the order of the log', async () => {
+			assert.deepStrictEqual(cellsOf(await render(activity.slice().reverse())), cells);
+		});
+	});
+});